@@ -0,0 +1,116 @@
+import { getSourceMirrors } from '../sources/index.js';
+import { getSelectors } from '../sources/selector-profiles.js';
+import { downloadError } from '../services/download-errors.js';
+
+// Anna's Archive download links, on any of the source's mirrors
+//
+// /fast_download/<md5>/<path>/<domain> links are for members. With
+// ANNAS_ARCHIVE_KEY set the file URL comes from the fast download API;
+// without it the link only works if it redirects straight to the file.
+// /slow_download/... links open a partner page with a countdown (behind
+// DDoS-Guard), so it is loaded in the browser until its download link shows
+// up; the file itself is then fetched over HTTP. Selectors for that page come
+// from the source's profile ("downloadPage").
+const SOURCE_ID = 'annas-archive';
+const SLOW_DOWNLOAD_WAIT = 120000; // Countdowns run for up to a minute
+
+function mirrorHosts() {
+  return getSourceMirrors(SOURCE_ID).map(mirror => new URL(mirror).hostname);
+}
+
+async function fastDownload(url, { fetchFile, userAgent }) {
+  const key = process.env.ANNAS_ARCHIVE_KEY;
+  if (!key) {
+    const file = await fetchFile(url);
+    if (file) return file;
+    throw downloadError('DOWNLOAD_AUTH_REQUIRED', url, 'Anna\'s Archive fast downloads need a membership key (ANNAS_ARCHIVE_KEY)');
+  }
+
+  const { origin, pathname } = new URL(url);
+  const [md5, pathIndex, domainIndex] = pathname.split('/').slice(2);
+  const apiUrl = new URL('/dyn/api/fast_download.json', origin);
+  apiUrl.search = new URLSearchParams({
+    md5,
+    key,
+    ...(pathIndex && { path_index: pathIndex }),
+    ...(domainIndex && { domain_index: domainIndex })
+  }).toString();
+
+  console.log(`⚡ Requesting Anna's Archive fast download for ${md5}`);
+  const response = await fetch(apiUrl, {
+    headers: { 'User-Agent': userAgent, 'Accept': 'application/json' },
+    signal: AbortSignal.timeout(30000)
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.download_url) {
+    const reason = body.error || `fast download API returned HTTP ${response.status}`;
+    if (response.status === 401 || response.status === 403 || /key/i.test(reason)) {
+      throw downloadError('DOWNLOAD_AUTH_REQUIRED', url, reason);
+    }
+    throw new Error(`Anna's Archive fast download failed for ${md5}: ${reason}`);
+  }
+
+  const file = await fetchFile(body.download_url);
+  if (!file) {
+    throw downloadError('DOWNLOAD_LINK_NOT_FOUND', url, 'the fast download URL served a page, not a file');
+  }
+  return file;
+}
+
+async function slowDownload(url, { openPage, fetchFile, onProgress }) {
+  const page = await openPage();
+  console.log(`🐢 Opening Anna's Archive slow download page: ${url}`);
+  onProgress({ phase: 'navigating', url });
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+  const selectors = getSelectors(SOURCE_ID, 'downloadPage');
+  onProgress({ phase: 'waiting-for-link' });
+  const deadline = Date.now() + SLOW_DOWNLOAD_WAIT;
+  let fileUrl = null;
+
+  while (!fileUrl && Date.now() < deadline) {
+    fileUrl = await page.evaluate(({ fileLink, fileLinkText }) => {
+      const link = [...document.querySelectorAll(fileLink)]
+        .find(candidate => fileLinkText.some(text => candidate.textContent.includes(text)));
+      return link ? link.href : null;
+    }, selectors);
+
+    if (!fileUrl) {
+      console.log('⏳ Slow download link not ready yet. Waiting 2 seconds...');
+      await page.waitForTimeout(2000);
+    }
+  }
+
+  if (!fileUrl) {
+    throw downloadError('DOWNLOAD_LINK_NOT_FOUND', url, `no download link appeared within ${SLOW_DOWNLOAD_WAIT / 1000}s`);
+  }
+
+  console.log(`🔗 Slow download file link: ${fileUrl}`);
+  const file = await fetchFile(fileUrl, { referer: page.url() });
+  if (!file) {
+    throw downloadError('DOWNLOAD_LINK_NOT_FOUND', url, `the download link ${fileUrl} served a page, not a file`);
+  }
+  return file;
+}
+
+// Book pages (/md5/...) and search pages aren't download links
+function checkUrl({ pathname }) {
+  return pathname.startsWith('/fast_download/') || pathname.startsWith('/slow_download/')
+    ? null
+    : 'only Anna\'s Archive /fast_download/ and /slow_download/ links can be downloaded';
+}
+
+async function download(url, context) {
+  const reason = checkUrl(new URL(url));
+  if (reason) throw downloadError('UNSUPPORTED_HOST', url, reason);
+  return new URL(url).pathname.startsWith('/fast_download/') ? fastDownload(url, context) : slowDownload(url, context);
+}
+
+export default {
+  id: 'annas-archive',
+  name: 'Anna\'s Archive',
+  hosts: mirrorHosts,
+  matches: ({ hostname }) => mirrorHosts().includes(hostname),
+  checkUrl,
+  download
+};
@@ -0,0 +1,97 @@
+// Browser page for download hosts
+//
+// Download hosts are ad-heavy: pages from the download pool close popups as
+// soon as they open, drop ad, analytics, style, font and image requests, and
+// stub out window.open and the dialog methods before any page script runs.
+export async function openDownloadPage(context) {
+  const page = await context.newPage();
+  console.log('📄 New page created');
+
+  // Enhanced popup handling with immediate closure for headless mode
+  context.on('page', async (newPage) => {
+    try {
+      const popupUrl = newPage.url();
+      console.log(`🚫 Popup detected: ${popupUrl}. Closing immediately.`);
+      
+      // Don't wait for any loading, close immediately
+      await newPage.close();
+      console.log(`✅ Popup closed: ${popupUrl}`);
+    } catch (error) {
+      console.log(`⚠️ Error closing popup: ${error.message}`);
+      // Try to force close if regular close fails
+      try {
+        if (!newPage.isClosed()) {
+          await newPage.close();
+        }
+      } catch (finalError) {
+        console.log(`⚠️ Could not force close popup: ${finalError.message}`);
+      }
+    }
+  });
+
+  // Enhanced ad/popup blocking for headless mode
+  await page.route('**/*', async (route) => {
+    const url = route.request().url();
+    const resourceType = route.request().resourceType();
+    
+    // Block known ad/popup domains and resource types
+    const blockedDomains = [
+      'etoro.com',
+      'doubleclick.net',
+      'googleadservices.com',
+      'googlesyndication.com',
+      'amazon-adsystem.com',
+      'facebook.com/tr',
+      'google-analytics.com',
+      'googletag',
+      'adsystem',
+      'ads.yahoo.com',
+      'bing.com/ads',
+      'taboola.com',
+      'outbrain.com',
+      'media.net',
+      'popads.net',
+      'popcash.net'
+    ];
+
+    // Block specific resource types that can cause popup issues
+    const blockedResourceTypes = [
+      'stylesheet', // Reduces loading time
+      'font',       // Reduces loading time
+      'image'       // We already disabled images, but double-check
+    ];
+    
+    if (blockedDomains.some(domain => url.includes(domain)) || 
+        blockedResourceTypes.includes(resourceType)) {
+      console.log(`🚫 Blocked ${resourceType} request to: ${url}`);
+      await route.abort();
+    } else {
+      await route.continue();
+    }
+  });
+
+  // Add extra protection against popups using JavaScript injection
+  await page.addInitScript(() => {
+    // Override window.open to prevent popups
+    window.open = () => null;
+    
+    // Override various popup methods
+    window.showModalDialog = () => null;
+    window.alert = () => {};
+    window.confirm = () => true;
+    window.prompt = () => null;
+    
+    // Prevent focus stealing
+    window.focus = () => {};
+    
+    // Block common popup triggers
+    ['beforeunload', 'unload'].forEach(event => {
+      window.addEventListener(event, (e) => {
+        e.preventDefault();
+        e.returnValue = '';
+      });
+    });
+  });
+
+  return page;
+}
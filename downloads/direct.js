@@ -0,0 +1,30 @@
+import { getEnabledSourceIds, isSourceUrl } from '../sources/index.js';
+import { downloadError } from '../services/download-errors.js';
+
+// Any other host, as long as the URL serves the file itself (S3 objects,
+// CDN links and other direct file links; see direct-download.js). A page
+// means a host no strategy knows how to download from.
+// A search source's own site serves book pages, not files; its download links
+// point elsewhere (or have their own strategy)
+function checkUrl(url) {
+  const sourceId = getEnabledSourceIds().find(id => isSourceUrl(id, url.href));
+  return sourceId ? `${url.hostname} is the ${sourceId} search source's site, which has book pages, not download links` : null;
+}
+
+async function download(url, { fetchFile }) {
+  const file = await fetchFile(url);
+  if (!file) {
+    throw downloadError('UNSUPPORTED_HOST', url, `${new URL(url).hostname} served a page, not a file, and has no download strategy`);
+  }
+  return file;
+}
+
+export default {
+  id: 'direct',
+  name: 'Direct file link',
+  hosts: ['*'],
+  fallback: true,
+  matches: () => true,
+  checkUrl,
+  download
+};
@@ -0,0 +1,94 @@
+import tinyFiles from './tiny-files.js';
+import libgen from './libgen.js';
+import annasArchive from './annas-archive.js';
+import direct from './direct.js';
+import { downloadError } from '../services/download-errors.js';
+
+// Download strategy registry
+//
+// A download URL is handed to the strategy for its host, which knows how to
+// get from that URL to the file. Each strategy module exports:
+//   id, name, hosts (descriptive, for listings), matches(url: URL) -> boolean,
+//   download(url, context) -> { filePath, filename }
+// and optionally checkUrl(url: URL) -> a reason the URL can't be downloaded,
+// or null (synchronous, from the URL alone, so bad links are refused before a
+// job is queued), and `fallback: true` for the one strategy tried when no
+// other matches.
+// `context` is built by the caller and gives strategies what they share:
+//   fetchFile(url, { referer }) -> { filePath, filename, bytes } when the URL
+//     serves a file (streamed to a temp file), null for a page
+//   openPage() -> a Playwright page from the download browser pool, with
+//     popups and ads blocked (released by the caller)
+//   tempPath(filename) -> a temp file path, removed by the caller
+//   onProgress({ phase, ... }), userAgent
+//
+// A strategy that can't get the file throws a download error (see
+// download-errors.js); a URL no strategy accepts fails with UNSUPPORTED_HOST.
+const REQUIRED_METHODS = ['matches', 'download'];
+
+const registry = new Map();
+
+// Register a download strategy, validating the required interface
+export function registerDownloadStrategy(strategy) {
+  if (!strategy || !strategy.id) {
+    throw new Error('Download strategy must have an id');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof strategy[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Download strategy "${strategy.id}" is missing: ${missing.join(', ')}`);
+  }
+
+  registry.set(strategy.id, {
+    name: strategy.id,
+    hosts: [],
+    fallback: false,
+    checkUrl: () => null,
+    ...strategy
+  });
+}
+
+// Strategy for a download URL: the first one matching its host, else the
+// fallback; null for a URL that isn't http(s)
+export function getDownloadStrategy(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  const strategies = [...registry.values()];
+  return strategies.find(strategy => !strategy.fallback && strategy.matches(parsed))
+    || strategies.find(strategy => strategy.fallback && strategy.matches(parsed))
+    || null;
+}
+
+// UNSUPPORTED_HOST download error for a URL no strategy will download, or
+// null when the URL's strategy accepts it
+export function checkDownloadUrl(url) {
+  const strategy = getDownloadStrategy(url);
+  if (!strategy) {
+    return downloadError('UNSUPPORTED_HOST', url, 'not an HTTP(S) URL');
+  }
+
+  const reason = strategy.checkUrl(new URL(url));
+  return reason ? downloadError('UNSUPPORTED_HOST', url, reason) : null;
+}
+
+// Public description of every registered strategy
+export function listDownloadStrategies() {
+  return [...registry.values()].map(strategy => ({
+    id: strategy.id,
+    name: strategy.name,
+    hosts: typeof strategy.hosts === 'function' ? strategy.hosts() : strategy.hosts,
+    fallback: strategy.fallback
+  }));
+}
+
+// Built-in strategies
+registerDownloadStrategy(tinyFiles);
+registerDownloadStrategy(libgen);
+registerDownloadStrategy(annasArchive);
+registerDownloadStrategy(direct);
@@ -0,0 +1,56 @@
+import { createHttpPage } from '../services/http-page.js';
+import { downloadError } from '../services/download-errors.js';
+
+// Library Genesis mirrors (libgen.li, libgen.rs, libgen.is, ..., library.lol)
+//
+// get.php links serve the file. Other links open a mirror page (ads.php,
+// /main/<md5>, book/index.php) whose "GET" link does; the page is
+// server-rendered, so it is read over HTTP without a browser.
+const HOST_PATTERN = /(^|\.)(libgen\.[a-z]+|library\.lol)$/;
+
+// Links to the file on a mirror page, most specific first
+const FILE_LINK_SELECTORS = ['a[href*="get.php"]', '#download h2 a', '#download a'];
+
+function findFileLink(document, pageUrl) {
+  for (const selector of FILE_LINK_SELECTORS) {
+    const href = document.querySelector(selector)?.getAttribute('href');
+    if (href) return new URL(href, pageUrl).href;
+  }
+
+  const getLink = [...document.querySelectorAll('a[href]')]
+    .find(link => link.textContent.trim().toUpperCase() === 'GET');
+  return getLink ? new URL(getLink.getAttribute('href'), pageUrl).href : null;
+}
+
+async function download(url, { fetchFile, onProgress, userAgent }) {
+  const file = await fetchFile(url);
+  if (file) return file;
+
+  console.log(`📖 Reading libgen mirror page: ${url}`);
+  onProgress({ phase: 'navigating', url });
+  const page = createHttpPage({ userAgent });
+  const { document, url: pageUrl, status } = await page.fetchDocument(url);
+  if (status >= 400) {
+    throw new Error(`Libgen mirror returned HTTP ${status} for ${url}`);
+  }
+
+  const fileUrl = findFileLink(document, pageUrl);
+  if (!fileUrl) {
+    throw downloadError('DOWNLOAD_LINK_NOT_FOUND', url, 'no GET link on the libgen mirror page');
+  }
+
+  console.log(`🔗 Libgen file link: ${fileUrl}`);
+  const linkedFile = await fetchFile(fileUrl, { referer: pageUrl });
+  if (!linkedFile) {
+    throw downloadError('DOWNLOAD_LINK_NOT_FOUND', url, `the GET link ${fileUrl} served a page, not a file`);
+  }
+  return linkedFile;
+}
+
+export default {
+  id: 'libgen',
+  name: 'Library Genesis',
+  hosts: ['libgen.*', 'library.lol'],
+  matches: ({ hostname }) => HOST_PATTERN.test(hostname),
+  download
+};
@@ -0,0 +1,221 @@
+import fs from 'fs';
+import { getSelectors } from '../sources/selector-profiles.js';
+
+// tiny-files.com, where ebook-hunter's download links point
+//
+// The file sits behind an interstitial page whose download button is enabled
+// after a countdown; once it sits in the ".to-lock" container it is clicked
+// and the browser download saved. Button selectors come from ebook-hunter's
+// selector profile ("downloadPage").
+const HOSTS = ['tiny-files.com'];
+const DOWNLOAD_START_TIMEOUT = 90000; // After the button is clicked
+
+async function download(url, { openPage, tempPath, onProgress }) {
+  const page = await openPage();
+  let tempFilePath = null;
+
+  console.log(`🔄 Navigating to ${url}...`);
+  onProgress({ phase: 'navigating', url });
+  await page.goto(url, { 
+    waitUntil: 'domcontentloaded',
+    timeout: 60000 
+  });
+  console.log('✅ Page loaded');
+
+  // Wait for any remaining JavaScript to execute
+  await page.waitForTimeout(2000);
+
+  // Download pages linked from ebook-hunter; selectors come from its profile
+  const downloadPageSelectors = getSelectors('ebook-hunter', 'downloadPage');
+  const downloadButtonSelector = downloadPageSelectors.buttons[0];
+  let downloadInitiated = false;
+  const maxRetries = 3; // Reduced for efficiency
+  let retryCount = 0;
+  const maxWaitTime = 120000; // 2 minutes total
+  const startTime = Date.now();
+
+  while (!downloadInitiated && retryCount < maxRetries) {
+    retryCount++;
+    console.log(`🔄 Attempt ${retryCount} to download...`);
+    onProgress({ phase: 'waiting-for-button', attempt: retryCount });
+
+    try {
+      // Enhanced button detection with multiple selectors
+      let buttonFound = false;
+      let button;
+      
+      while (!buttonFound) {
+        const currentTime = Date.now();
+        if (currentTime - startTime > maxWaitTime) {
+          throw new Error('Maximum wait time exceeded (2 minutes)');
+        }
+
+        console.log('🔍 Checking for download button...');
+        
+        // Try multiple selector approaches
+        for (const selector of downloadPageSelectors.buttons) {
+          button = page.locator(selector);
+          const buttonCount = await button.count();
+          
+          if (buttonCount > 0) {
+            console.log(`✅ Found button with selector: ${selector}`);
+            
+            // Additional checks for button readiness
+            try {
+              const isVisible = await button.isVisible();
+              const isEnabled = await button.isEnabled();
+              
+              if (isVisible && isEnabled) {
+                // Check if button is in the "to-lock" container (indicating it's ready)
+                const parentDiv = button.locator(downloadPageSelectors.readyContainer);
+                const parentDivExists = await parentDiv.count() > 0;
+                
+                if (parentDivExists) {
+                  console.log('✅ Download button is ready and enabled!');
+                  buttonFound = true;
+                  break;
+                } else {
+                  console.log('⏳ Button found but not in ready state...');
+                }
+              } else {
+                console.log(`⏳ Button found but not ready (visible: ${isVisible}, enabled: ${isEnabled})`);
+              }
+            } catch (checkError) {
+              console.log(`⚠️ Error checking button state: ${checkError.message}`);
+            }
+          }
+        }
+        
+        if (!buttonFound) {
+          console.log('⏳ Download button not ready yet. Waiting 2 seconds...');
+          await page.waitForTimeout(2000);
+        }
+      }
+
+      if (buttonFound && button) {
+        try {
+          // Listen for the download before clicking so it can't be missed
+          console.log('👂 Setting up download event listener...');
+          const downloadPromise = page.waitForEvent('download', { timeout: DOWNLOAD_START_TIMEOUT });
+          // If the click throws, the wait is abandoned and times out unobserved
+          downloadPromise.catch(() => {});
+          
+          console.log('🖱️ Clicking download button...');
+          
+          // Try multiple click approaches for headless mode
+          try {
+            await button.click({ force: true, timeout: 10000 });
+          } catch (clickError) {
+            console.log('⚠️ Standard click failed, trying alternatives...');
+            
+            // Alternative click methods
+            try {
+              await button.click({ button: 'left', clickCount: 1 });
+            } catch (altClickError) {
+              console.log('⚠️ Alternative click failed, trying JavaScript click...');
+              await page.evaluate((sel) => {
+                const btn = document.querySelector(sel);
+                if (btn) btn.click();
+              }, downloadButtonSelector);
+            }
+          }
+          
+          console.log('⏳ Waiting for download to start...');
+          
+          const download = await downloadPromise;
+          console.log(`📥 Download started: ${download.suggestedFilename()}`);
+          onProgress({ phase: 'downloading', filename: download.suggestedFilename() });
+          
+          tempFilePath = tempPath(download.suggestedFilename());
+          
+          console.log(`💾 Saving download to: ${tempFilePath}`);
+          await download.saveAs(tempFilePath);
+          
+          // Wait a moment for file system to catch up
+          await page.waitForTimeout(1000);
+          
+          // Verify file exists and has content
+          if (fs.existsSync(tempFilePath)) {
+            const fileStats = await fs.promises.stat(tempFilePath);
+            console.log(`📊 Downloaded file size: ${fileStats.size} bytes`);
+            onProgress({ phase: 'downloading', filename: download.suggestedFilename(), percent: 100, bytes: fileStats.size });
+            
+            if (fileStats.size > 0) {
+              console.log('✅ File successfully downloaded');
+              downloadInitiated = true;
+              return { filePath: tempFilePath, filename: download.suggestedFilename() };
+            } else {
+              console.log('❌ Downloaded file is empty.');
+              await fs.promises.unlink(tempFilePath);
+              throw new Error('Downloaded file is empty');
+            }
+          } else {
+            console.log('❌ Download file was not created.');
+            throw new Error('Download file was not created');
+          }
+          
+        } catch (downloadError) {
+          console.error('❌ Error during download:', downloadError);
+          
+          // Clean up any partial file
+          if (tempFilePath && fs.existsSync(tempFilePath)) {
+            try {
+              await fs.promises.unlink(tempFilePath);
+            } catch (cleanupError) {
+              console.log('⚠️ Could not clean up partial file:', cleanupError.message);
+            }
+          }
+          
+          // Check if this is a retryable error
+          if (downloadError.name === 'TimeoutError' || downloadError.message.includes('timeout')) {
+            console.log('🔄 Download timeout detected, will retry...');
+            break; // Break inner loop to retry
+          }
+          throw downloadError;
+        }
+      }
+
+      if (downloadInitiated) {
+        break;
+      }
+
+    } catch (error) {
+      console.error(`❌ Error during download attempt ${retryCount}:`, error);
+      
+      // Handle specific error types for retry logic
+      if (error.name === 'TimeoutError' || 
+          error.message.includes('timeout') || 
+          error.message.includes('Maximum wait time exceeded')) {
+        
+        if (retryCount >= maxRetries) {
+          console.log('❌ Max retries reached. Could not download the file.');
+          throw new Error(`Download failed after ${maxRetries} attempts: ${error.message}`);
+        }
+        
+        console.log('🔄 Retrying after timeout/error...');
+        // Reload the page to reset state and try again
+        try {
+          await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
+          await page.waitForTimeout(3000); // Wait 3 seconds before next attempt
+        } catch (reloadError) {
+          console.log('⚠️ Page reload failed:', reloadError.message);
+          throw error; // Give up if we can't even reload
+        }
+      } else {
+        throw error; // Non-retryable error
+      }
+    }
+  }
+
+  if (!downloadInitiated) {
+    throw new Error('Download failed after all attempts');
+  }
+}
+
+export default {
+  id: 'tiny-files',
+  name: 'tiny-files',
+  hosts: HOSTS,
+  matches: ({ hostname }) => HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`)),
+  download
+};
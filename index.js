@@ -1,6 +1,5 @@
 import express from 'express';
 import cors from 'cors';
-import { chromium } from 'playwright';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
 import fs from 'fs';
@@ -9,6 +8,30 @@ import zlib from 'zlib';
 import { pipeline } from 'stream/promises';
 import { createClient } from '@supabase/supabase-js';
 import { fileURLToPath } from 'url';
+import { getSource, getEnabledSourceIds, getDefaultSourceId, listSources, isSourceUrl, getSourceMirrors } from './sources/index.js';
+import { createBrowserPool } from './services/browser-pool.js';
+import { createSearchCache, createMemoryCacheStore, createPostgresCacheStore } from './services/search-cache.js';
+import { searchAcrossSources, createBookMerger } from './services/federated-search.js';
+import { createPagedSearch } from './services/paged-search.js';
+import { createSourceThrottle } from './services/source-throttle.js';
+import { createHttpPage } from './services/http-page.js';
+import { createSourceMirrors } from './services/source-mirrors.js';
+import { createDownloadJobQueue, createFileJobStore, createPostgresJobStore } from './services/download-jobs.js';
+import { bodyLength, probeDownload, saveDownload } from './services/direct-download.js';
+import { downloadError } from './services/download-errors.js';
+import { validateBookFile } from './services/file-validation.js';
+import { findBookByHash, findDuplicateBooks, isStorageObjectShared } from './services/book-duplicates.js';
+import { checkDownloadUrl, getDownloadStrategy, listDownloadStrategies } from './downloads/index.js';
+import { openDownloadPage } from './downloads/browser-page.js';
+import { SOURCE_ERRORS, isSourceError } from './services/source-errors.js';
+import { decodeResultToken } from './services/result-tokens.js';
+import { parseSearchFilters } from './services/search-filters.js';
+import { rankBooks, scoreBook, SORT_OPTIONS } from './services/ranking.js';
+import { reloadSelectorProfiles } from './sources/selector-profiles.js';
+import { runSelectorSelfCheck } from './services/selector-selfcheck.js';
+import { searchLibrary, suggestFromLibrary, getLibraryBook, listLibraryFacet, LIBRARY_SORT_OPTIONS } from './services/library-search.js';
+import { renderAtomFeed, renderOpds2Feed, renderOpenSearchDescription, bookMimeType, OPDS_TYPES, CATALOG_TITLE } from './services/opds.js';
+import { createSuggestionIndex, collectSuggestions } from './services/suggestions.js';
 
 // Load environment variables
 dotenv.config();
@@ -210,6 +233,8 @@ try {
           
           // Replace the Supabase client with a simplified PostgreSQL-based one
           supabase = {
+            // Raw connection for queries the query-builder shim can't express
+            pgClient,
             from: (table) => ({
               select: (columns = '*') => ({
                 eq: (column, value) => ({
@@ -462,6 +487,8 @@ setTimeout(async () => {
           
           // Replace with basic PostgreSQL client
           supabase = {
+            // Raw connection for queries the query-builder shim can't express
+            pgClient,
             from: (table) => ({
               select: (columns = '*') => ({
                 eq: (column, value) => ({
@@ -512,30 +539,160 @@ setTimeout(async () => {
   }
 }, 2000); // Test after 2 seconds
 
-// Support multiple book sources
-const BOOK_SOURCES = {
-  'ebook-hunter': 'https://ebook-hunter.org',
-  'annas-archive': 'https://annas-archive.org'
-};
-
-// Default source (keeping existing behavior)
-const DEFAULT_SOURCE = 'ebook-hunter';
+// Book sources are pluggable adapters registered in ./sources
+console.log(`📚 Enabled book sources: ${getEnabledSourceIds().join(', ') || 'none'} (default: ${getDefaultSourceId() || 'none'})`);
 
 // Define download path globally
 const downloadPath = process.env.DOWNLOAD_PATH || '/tmp/downloads';
 
-// Helper function to get base URL for a source
-function getBaseUrl(source = DEFAULT_SOURCE) {
-  return BOOK_SOURCES[source] || BOOK_SOURCES[DEFAULT_SOURCE];
+// Browser context settings shared by search and download
+const browserContextOptions = {
+  acceptDownloads: true,
+  ignoreHTTPSErrors: true,
+  javaScriptEnabled: true,
+  userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  viewport: { width: 1920, height: 1080 },
+  // Set download path explicitly for headless mode
+  ...(process.env.DOWNLOAD_PATH && {
+    downloadsPath: downloadPath
+  })
+};
+
+// Long-lived browser pools instead of launching Chromium per request
+const browserPoolDefaults = {
+  size: parseInt(process.env.BROWSER_POOL_SIZE || '1', 10),
+  maxUses: parseInt(process.env.BROWSER_POOL_MAX_USES || '50', 10),
+  queueTimeout: parseInt(process.env.BROWSER_POOL_QUEUE_TIMEOUT || '60000', 10),
+  maxQueue: parseInt(process.env.BROWSER_POOL_MAX_QUEUE || '50', 10)
+};
+
+const searchBrowserPool = createBrowserPool({
+  ...browserPoolDefaults,
+  name: 'search',
+  maxConcurrency: parseInt(process.env.SEARCH_BROWSER_CONCURRENCY || '4', 10),
+  launchOptions: {
+    headless: true,  // Changed to true for production environment
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  }
+});
+
+const downloadBrowserPool = createBrowserPool({
+  ...browserPoolDefaults,
+  name: 'download',
+  maxConcurrency: parseInt(process.env.DOWNLOAD_BROWSER_CONCURRENCY || '2', 10),
+  // Enhanced headless settings for production
+  launchOptions: {
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--disable-web-security',
+      '--disable-features=VizDisplayCompositor',
+      '--disable-blink-features=AutomationControlled',
+      '--no-first-run',
+      '--disable-extensions',
+      '--disable-plugins',
+      '--disable-images', // Reduces memory usage and speeds up loading
+      '--disable-javascript-harmony-shipping',
+      '--disable-background-timer-throttling',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-renderer-backgrounding',
+      '--window-size=1920,1080'
+    ]
+  }
+});
+
+// Search result cache (in-memory by default, Postgres with SEARCH_CACHE_STORE=postgres)
+let searchCacheStore = createMemoryCacheStore({
+  maxEntries: parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES || '500', 10)
+});
+
+if (process.env.SEARCH_CACHE_STORE === 'postgres') {
+  if (process.env.POSTGRES_PASSWORD) {
+    try {
+      const postgres = await import('postgres');
+      const cachePgClient = postgres.default({
+        host: process.env.POSTGRES_HOST || 'supabase-db-g00sk4cwgwk0cwkc8kcgc8gk',
+        port: 5432,
+        database: 'postgres',
+        username: 'postgres',
+        password: process.env.POSTGRES_PASSWORD,
+        connect_timeout: 10,
+        max: 3
+      });
+      searchCacheStore = createPostgresCacheStore(cachePgClient);
+      console.log('💾 Search cache using Postgres store');
+    } catch (error) {
+      console.error('❌ Failed to set up Postgres search cache, using memory:', error.message);
+    }
+  } else {
+    console.log('⚠️ SEARCH_CACHE_STORE=postgres but POSTGRES_PASSWORD is not set - using memory cache');
+  }
+}
+
+const searchCache = createSearchCache({
+  store: searchCacheStore,
+  ttl: parseInt(process.env.SEARCH_CACHE_TTL || '600', 10),
+  staleWhileRevalidate: parseInt(process.env.SEARCH_CACHE_SWR || '3600', 10)
+});
+
+// Autocomplete index fed by searches (see /books/suggest)
+const suggestionIndex = createSuggestionIndex({
+  maxTitles: parseInt(process.env.SUGGEST_MAX_TITLES || '2000', 10),
+  maxQueries: parseInt(process.env.SUGGEST_MAX_QUERIES || '1000', 10)
+});
+
+// Close pooled browsers on shutdown
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    console.log(`🛑 ${signal} received - closing browser pools...`);
+    await Promise.all([searchBrowserPool.close(), downloadBrowserPool.close()]);
+    process.exit(0);
+  });
+}
+
+// Book details columns from a search result's `details` (Anna's Archive md5
+// pages); anything missing or of the wrong type is stored as null
+function toDetailsColumns(details) {
+  if (!details || typeof details !== 'object') return {};
+
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim().slice(0, 500) : null);
+  const integer = value => (Number.isInteger(value) && value >= 0 ? value : null);
+  const mirrors = Array.isArray(details.mirrors)
+    ? details.mirrors
+      .filter(mirror => mirror && typeof mirror.url === 'string' && /^https?:\/\//.test(mirror.url))
+      .slice(0, 50)
+      .map(mirror => ({ url: mirror.url, type: text(mirror.type) || 'external', label: text(mirror.label) }))
+    : [];
+
+  return {
+    language: text(details.languageCode) || text(details.language),
+    published_date: integer(details.year) ? `${details.year}-01-01` : null,
+    publisher: text(details.publisher),
+    edition: text(details.edition),
+    isbns: Array.isArray(details.isbns)
+      ? details.isbns.filter(isbn => typeof isbn === 'string' && /^(\d{13}|\d{9}[\dX])$/.test(isbn)).slice(0, 20)
+      : [],
+    file_size: integer(details.fileSize),
+    page_count: integer(details.pageCount),
+    mirrors
+  };
 }
 
 // Helper function to upload file to Supabase storage
-async function uploadToSupabaseStorage(filePath, fileName, bookMetadata) {
+async function uploadToSupabaseStorage(filePath, fileName, bookMetadata, { onProgress = () => {} } = {}) {
   try {
     console.log('📤 Uploading file to Supabase storage...');
     
     // Read the file
     const fileBuffer = await fs.promises.readFile(filePath);
+    const sha256 = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+    console.log(`#️⃣ SHA-256: ${sha256}`);
+
+    // The same file may already be stored from another mirror or URL
+    const sameFile = await findBookByHash(supabase, sha256);
     
     // Sanitize filename to remove special characters that cause Supabase issues
     const sanitizeFilename = (filename) => {
@@ -570,31 +727,43 @@ async function uploadToSupabaseStorage(filePath, fileName, bookMetadata) {
       }
     };
     
-    const contentType = getContentType(sanitizedFileName);
-    console.log(`📄 Content type: ${contentType}`);
-    
-    // Upload to Supabase storage bucket 'books'
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from('books')
-      .upload(uniqueFileName, fileBuffer, {
-        contentType: contentType,
-        upsert: false
-      });
+    let storagePath;
+    let s3BucketUrl;
+    if (sameFile) {
+      // Link the new book to the existing storage object instead of uploading again
+      console.log(`🔗 Same file already stored for book ${sameFile.id} ("${sameFile.title}"), linking to ${sameFile.s3_bucket_id}`);
+      storagePath = sameFile.s3_bucket_id;
+      s3BucketUrl = sameFile.s3_bucket_url;
+    } else {
+      const contentType = getContentType(sanitizedFileName);
+      console.log(`📄 Content type: ${contentType}`);
+      onProgress({ phase: 'uploading', percent: 0, bytes: fileBuffer.length });
 
-    if (uploadError) {
-      console.error('❌ Supabase storage upload error:', uploadError);
-      throw uploadError;
-    }
+      // Upload to Supabase storage bucket 'books'
+      const { data: uploadData, error: uploadError } = await supabase.storage
+        .from('books')
+        .upload(uniqueFileName, fileBuffer, {
+          contentType: contentType,
+          upsert: false
+        });
 
-    console.log('✅ File uploaded to storage:', uploadData.path);
+      if (uploadError) {
+        console.error('❌ Supabase storage upload error:', uploadError);
+        throw uploadError;
+      }
 
-    // Get the public URL for the uploaded file
-    const { data: urlData } = supabase.storage
-      .from('books')
-      .getPublicUrl(uploadData.path);
+      console.log('✅ File uploaded to storage:', uploadData.path);
+      onProgress({ phase: 'uploading', percent: 100, bytes: fileBuffer.length });
+      storagePath = uploadData.path;
 
-    const s3BucketUrl = urlData.publicUrl;
-    console.log('🔗 Public URL generated:', s3BucketUrl);
+      // Get the public URL for the uploaded file
+      const { data: urlData } = supabase.storage
+        .from('books')
+        .getPublicUrl(uploadData.path);
+
+      s3BucketUrl = urlData.publicUrl;
+      console.log('🔗 Public URL generated:', s3BucketUrl);
+    }
 
     // Insert book record into the database
     const bookRecord = {
@@ -610,13 +779,18 @@ async function uploadToSupabaseStorage(filePath, fileName, bookMetadata) {
       description: null,
       language: null,
       published_date: null,
-      s3_bucket_id: uploadData.path,
+      ...toDetailsColumns(bookMetadata.details),
+      // The stored file's real size rather than the one the source listed
+      file_size: fileBuffer.length,
+      sha256,
+      s3_bucket_id: storagePath,
       s3_bucket_url: s3BucketUrl,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
 
     console.log('💾 Inserting book record into database...');
+    onProgress({ phase: 'inserting' });
     const { data: insertData, error: insertError } = await supabase
       .from('books')
       .insert([bookRecord])
@@ -625,12 +799,15 @@ async function uploadToSupabaseStorage(filePath, fileName, bookMetadata) {
 
     if (insertError) {
       console.error('❌ Database insert error:', insertError);
-      // If database insert fails, try to clean up the uploaded file
-      try {
-        await supabase.storage.from('books').remove([uploadData.path]);
-        console.log('🧹 Cleaned up uploaded file after database error');
-      } catch (cleanupError) {
-        console.error('❌ Failed to cleanup uploaded file:', cleanupError);
+      // If database insert fails, try to clean up the uploaded file (a linked
+      // one belongs to the other book)
+      if (!sameFile) {
+        try {
+          await supabase.storage.from('books').remove([storagePath]);
+          console.log('🧹 Cleaned up uploaded file after database error');
+        } catch (cleanupError) {
+          console.error('❌ Failed to cleanup uploaded file:', cleanupError);
+        }
       }
       throw insertError;
     }
@@ -640,7 +817,9 @@ async function uploadToSupabaseStorage(filePath, fileName, bookMetadata) {
     return {
       id: insertData.id,
       s3_bucket_url: s3BucketUrl,
-      s3_bucket_id: uploadData.path
+      s3_bucket_id: storagePath,
+      sha256,
+      duplicateOf: sameFile ? sameFile.id : null
     };
 
   } catch (error) {
@@ -784,7 +963,9 @@ const corsOptions = {
   exposedHeaders: [
     'Access-Control-Allow-Origin',
     'Access-Control-Allow-Methods',
-    'Access-Control-Allow-Headers'
+    'Access-Control-Allow-Headers',
+    'X-Cache',
+    'Age'
   ]
 };
 
@@ -885,7 +1066,7 @@ app.use((req, res, next) => {
       res.header('Access-Control-Allow-Credentials', 'true');
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, HEAD, PATCH');
       res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, Access-Control-Allow-Origin, Access-Control-Allow-Methods, Access-Control-Allow-Headers');
-      res.header('Access-Control-Expose-Headers', 'Access-Control-Allow-Origin, Access-Control-Allow-Methods, Access-Control-Allow-Headers');
+      res.header('Access-Control-Expose-Headers', 'Access-Control-Allow-Origin, Access-Control-Allow-Methods, Access-Control-Allow-Headers, X-Cache, Age');
       
       console.log(`🔧 Manual CORS headers set for origin: ${origin}`);
     }
@@ -1131,6 +1312,16 @@ app.get('/health', async (req, res) => {
       huggingface: !!process.env.VITE_HUGGINGFACE_API_KEY,
       supabase: supabaseConfigured
     },
+    browserPools: {
+      search: searchBrowserPool.getStats(),
+      download: downloadBrowserPool.getStats()
+    },
+    searchCache: await searchCache.getStats(),
+    sourceThrottle: sourceThrottle.getStats(),
+    sourceMirrors: sourceMirrors.getStats(),
+    scraping: pagedSearch.getStats(),
+    downloadJobs: downloadJobs.getStats(),
+    suggestions: suggestionIndex.getStats(),
     system: {
       nodeVersion: process.version,
       platform: process.platform,
@@ -1351,16 +1542,7 @@ app.post('/api/proxy/book-content', async (req, res) => {
     console.log(`[BookProxy] Using service key:`, process.env.SERVICE_SUPABASESERVICE_KEY ? 'Yes' : 'No');
     console.log(`[BookProxy] Using anon key:`, process.env.SERVICE_SUPABASEANON_KEY ? 'Yes' : 'No');
 
-    // Handle different URL types
-    let response;
-    
-    if (url.includes('supabase')) {
-      response = await handleSupabaseUrl(url);
-    } else if (url.includes('s3.amazonaws.com') || url.includes('amazonaws.com')) {
-      response = await handleS3Url(url);
-    } else {
-      response = await handleExternalUrl(url);
-    }
+    const response = await fetchStoredBook(url);
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -1439,6 +1621,17 @@ app.post('/api/proxy/book-content', async (req, res) => {
   }
 });
 
+// Fetch a book file, handling the different URL types
+function fetchStoredBook(url) {
+  if (url.includes('supabase')) {
+    return handleSupabaseUrl(url);
+  }
+  if (url.includes('s3.amazonaws.com') || url.includes('amazonaws.com')) {
+    return handleS3Url(url);
+  }
+  return handleExternalUrl(url);
+}
+
 // Helper functions for handling different URL types
 async function handleSupabaseUrl(url) {
   console.log('[BookProxy] Handling Supabase URL');
@@ -1590,10 +1783,21 @@ app.get('/', (req, res) => {
     endpoints: {
       // Book-related endpoints
       'GET /health': 'Enhanced health check with database connectivity test',
-      'GET /books/search?query=<term>&page=<num>&limit=<num>&source=<source>': 'Search books from multiple sources',
-      'POST /books/download': 'Download a book (requires url, title, author, format, category in body)',
+      'GET /books/search?query=<term>&page=<num>&limit=<num>&source=<source|all|a,b>&refresh=<bool>&resolve=<eager>&format=<ext,..>&yearFrom=<year>&yearTo=<year>&category=<text>&language=<code,..>&author=<text>&sort=<relevance|date|title|author>': 'Search books from one, several or all sources (cached; download URLs resolved lazily unless resolve=eager)',
+      'GET /books/suggest?q=<prefix>&limit=<num>': 'Autocomplete titles, authors and popular queries (never scrapes)',
+      'GET /library/search?q=<term>&page=<num>&limit=<num>&sort=<relevance|added|date|title|author>&format=<ext,..>&yearFrom=<year>&yearTo=<year>&category=<text>&language=<code,..>&author=<text>': 'Full-text search over downloaded books',
+      'GET /library/duplicates': 'Report downloaded books that are the same file (by SHA-256)',
+      'GET /sources': 'List registered book sources with their capabilities and enabled state',
+      'GET /admin/sources/:id/selfcheck': 'Run a source\'s canary query and report selectors that matched nothing',
+      'POST /admin/sources/selectors/reload': 'Reload selector profiles from disk',
+      'GET /books/search/stream?query=<term>&page=<num>&limit=<num>&source=<source|all|a,b>': 'Stream search results over Server-Sent Events as each download URL resolves',
+      'GET /books/resolve/:token': 'Resolve a search result\'s download URL and cover on demand',
+      'POST /books/resolve': 'Resolve several search results at once (requires tokens array in body)',
+      'POST /books/download': 'Queue a book download (requires url, title, author, format, category in body); returns a job id',
+      'GET /jobs/:id': 'Status, attempts, errors and resulting book id of a download job',
+      'GET /jobs/:id/events': 'Stream a download job\'s progress over Server-Sent Events',
       'POST /api/proxy/book-content': 'Proxy book content to resolve CORS issues (requires url and optional format in body)',
-      'GET /books/:id': 'Get book details (not implemented)',
+      'GET /books/:id': 'Get a downloaded book from the library by id',
       'GET /test-download': 'Test download functionality',
       
       // Admin and diagnostic endpoints
@@ -1605,14 +1809,17 @@ app.get('/', (req, res) => {
       'POST /api/openrouter/chat': 'OpenRouter Chat API proxy',
       'POST /api/huggingface/inference': 'Hugging Face Inference API proxy'
     },
-    sources: {
-      'ebook-hunter': 'https://ebook-hunter.org (default)',
-      'annas-archive': 'https://annas-archive.org'
-    },
+    sources: Object.fromEntries(
+      listSources()
+        .filter(sourceInfo => sourceInfo.enabled)
+        .map(sourceInfo => [sourceInfo.id, `${sourceInfo.baseUrl}${sourceInfo.default ? ' (default)' : ''}`])
+    ),
     examples: {
       'Search ebook-hunter': '/books/search?query=javascript&source=ebook-hunter',
       'Search Anna\'s Archive': '/books/search?query=javascript&source=annas-archive',
       'Search default (ebook-hunter)': '/books/search?query=javascript',
+      'Search all sources': '/books/search?query=javascript&source=all',
+      'Search with filters': '/books/search?query=javascript&source=all&format=epub&yearFrom=2020',
       'Proxy book content': 'POST /api/proxy/book-content with { "url": "https://example.com/book.pdf", "format": "pdf" }',
       'Health check': 'GET /health',
       'Database diagnostics': 'GET /admin/database/diagnostics',
@@ -1675,7 +1882,7 @@ app.get('/test-download', async (req, res) => {
     if (response.ok) {
       res.status(200).json({
         success: true,
-        message: 'Test download completed successfully',
+        message: response.status === 202 ? 'Test download queued' : 'Test download completed successfully',
         data: responseData
       });
     } else {
@@ -1695,6 +1902,148 @@ app.get('/test-download', async (req, res) => {
   }
 });
 
+// Book sources listing endpoint
+app.get('/sources', (req, res) => {
+  const sources = listSources();
+  res.json({
+    sources,
+    default: getDefaultSourceId(),
+    enabled: sources.filter(sourceInfo => sourceInfo.enabled).length,
+    total: sources.length,
+    downloadStrategies: listDownloadStrategies()
+  });
+});
+
+// Selector self-check: run the source's canary query and report selectors
+// that matched nothing
+app.get('/admin/sources/:id/selfcheck', async (req, res) => {
+  const adapter = getSource(req.params.id);
+  if (!adapter) {
+    return res.status(404).json({
+      error: 'Source not found',
+      message: `Unknown or disabled source: ${req.params.id}`
+    });
+  }
+
+  try {
+    console.log(`🩺 Running selector self-check for ${adapter.id}...`);
+    // Pages load like a search's: throttled, over HTTP where possible, on a working mirror
+    const report = await runSelectorSelfCheck(adapter, (kind, fn, options) =>
+      pagedSearch.withSourcePage(adapter, kind, fn, options)
+    );
+
+    if (report.ok) {
+      console.log(`✅ ${adapter.id} self-check passed`);
+    } else {
+      console.log(`⚠️ ${adapter.id} self-check found problems:`, report.emptySelectors, report.invalidSelectors);
+    }
+    res.json(report);
+  } catch (error) {
+    console.error(`❌ ${adapter.id} self-check failed:`, error);
+    // A blocked, down or throttled site says nothing about the selectors
+    if (isSourceError(error)) {
+      if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+      return res.status(SOURCE_ERRORS[error.code].httpStatus).json({
+        error: SOURCE_ERRORS[error.code].error,
+        code: error.code,
+        message: error.message,
+        source: adapter.id,
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+      });
+    }
+    res.status(500).json({
+      error: 'Self-check failed',
+      message: error.message,
+      source: adapter.id
+    });
+  }
+});
+
+// Re-read selector profiles from disk (see SOURCE_SELECTORS_DIR)
+app.post('/admin/sources/selectors/reload', (req, res) => {
+  const profiles = reloadSelectorProfiles();
+  console.log('🔄 Reloaded selector profiles:', profiles);
+  res.status(profiles.some(profile => profile.status === 'error') ? 500 : 200).json({ profiles });
+});
+
+// Per-source rate limits, page concurrency caps and backoff. The env vars set
+// the defaults; an adapter's `politeness` overrides them for that source.
+const sourceThrottle = createSourceThrottle({
+  requestsPerMinute: parseInt(process.env.SOURCE_RATE_LIMIT || '30', 10),
+  burst: parseInt(process.env.SOURCE_RATE_BURST || '5', 10),
+  maxConcurrentPages: parseInt(process.env.SOURCE_MAX_CONCURRENT_PAGES || '2', 10),
+  maxWaitMs: parseInt(process.env.SOURCE_THROTTLE_MAX_WAIT || '15000', 10),
+  backoffBase: parseInt(process.env.SOURCE_BACKOFF_BASE || '30000', 10),
+  backoffMax: parseInt(process.env.SOURCE_BACKOFF_MAX || '900000', 10),
+  overrides: Object.fromEntries(getEnabledSourceIds().map(id => [id, getSource(id).politeness || {}]))
+});
+
+// Each source's mirrors, with failover when one is down or blocked
+const sourceMirrors = createSourceMirrors({
+  mirrors: Object.fromEntries(getEnabledSourceIds().map(id => [id, getSourceMirrors(id)])),
+  cooldownMs: parseInt(process.env.SOURCE_MIRROR_COOLDOWN || '300000', 10)
+});
+
+// Source searches page through the sites' own result pages, caching each
+// listing page and each resolved book
+const pagedSearch = createPagedSearch({
+  cache: searchCache,
+  withBrowserContext: fn => searchBrowserPool.withContext(browserContextOptions, fn),
+  // SCRAPE_MODE=browser loads every page in Chromium
+  newHttpPage: process.env.SCRAPE_MODE === 'browser' ? null : () => createHttpPage({
+    userAgent: browserContextOptions.userAgent,
+    timeout: parseInt(process.env.SCRAPE_HTTP_TIMEOUT || '20000', 10)
+  }),
+  throttle: sourceThrottle,
+  mirrors: sourceMirrors,
+  maxFilterPages: parseInt(process.env.SEARCH_FILTER_MAX_PAGES || '5', 10)
+});
+
+// File formats favoured by relevance ranking, most preferred first
+const PREFERRED_FORMATS = (process.env.SEARCH_PREFERRED_FORMATS || 'epub,pdf,mobi,azw3')
+  .split(',')
+  .map(format => format.trim().toLowerCase())
+  .filter(Boolean);
+
+// Resolve the `source` query param ("all", one id, or a comma-separated list)
+function resolveRequestedSources(sourceParam) {
+  if (sourceParam === 'all') {
+    return { sourceIds: getEnabledSourceIds(), invalid: [] };
+  }
+
+  const requested = [...new Set((sourceParam || '').split(',').map(id => id.trim()).filter(Boolean))];
+  return {
+    sourceIds: requested.filter(id => getSource(id)),
+    invalid: requested.filter(id => !getSource(id))
+  };
+}
+
+// Combine per-source cache results into response headers
+function setSearchCacheHeaders(res, sourceStatuses) {
+  const okStatuses = sourceStatuses.filter(status => status.cache);
+  if (okStatuses.length === 0) {
+    res.setHeader('Cache-Control', 'no-store');
+    return;
+  }
+
+  const cacheStatuses = okStatuses.map(status => status.cache);
+  const combinedStatus = ['BYPASS', 'MISS', 'STALE'].find(status => cacheStatuses.includes(status)) || 'HIT';
+  const age = Math.max(...okStatuses.map(status => status.cacheAge));
+  const maxAge = Math.min(...okStatuses.map(status => Math.max(status.cacheMaxAge - status.cacheAge, 0)));
+
+  res.setHeader('X-Cache', combinedStatus);
+  res.setHeader('Age', String(age));
+  res.setHeader(
+    'Cache-Control',
+    sourceStatuses.length === okStatuses.length
+      ? `public, max-age=${maxAge}, stale-while-revalidate=${searchCache.staleWhileRevalidate}`
+      : 'no-store' // Partial results shouldn't be cached downstream
+  );
+}
+
+// Largest page size accepted by /books/search (every book costs a page load)
+const MAX_SEARCH_LIMIT = 50;
+
 // Books search API endpoint
 app.get('/books/search', async (req, res) => {
   // Set JSON content type
@@ -1703,9 +2052,10 @@ app.get('/books/search', async (req, res) => {
   try {
     console.log('🔍 Starting book search...');
     const query = req.query.query || '';
-    const page = parseInt(req.query.page || '1', 10);
-    const limit = parseInt(req.query.limit || '10', 10);
-    const source = req.query.source || DEFAULT_SOURCE;
+    const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10) || 10, 1), MAX_SEARCH_LIMIT);
+    const source = req.query.source || getDefaultSourceId();
+    const sort = req.query.sort || 'relevance';
 
     // Validate search parameters
     if (!query) {
@@ -1719,11 +2069,23 @@ app.get('/books/search', async (req, res) => {
       });
     }
 
-    // Validate source
-    if (!BOOK_SOURCES[source]) {
+    if (!SORT_OPTIONS.includes(sort)) {
+      return res.status(400).json({
+        error: 'Invalid search parameters',
+        message: `sort must be one of: ${SORT_OPTIONS.join(', ')}`,
+        books: [],
+        total: 0,
+        page: 1,
+        totalPages: 0
+      });
+    }
+
+    // Validate source(s)
+    const { sourceIds, invalid } = resolveRequestedSources(source);
+    if (invalid.length > 0 || sourceIds.length === 0) {
       return res.status(400).json({ 
         error: 'Invalid source',
-        message: `Source must be one of: ${Object.keys(BOOK_SOURCES).join(', ')}`,
+        message: `Source must be "all" or one or more of: ${getEnabledSourceIds().join(', ')}`,
         books: [],
         total: 0,
         page: 1,
@@ -1731,56 +2093,91 @@ app.get('/books/search', async (req, res) => {
       });
     }
 
-    console.log(`📚 Searching on ${source} for: "${query}"`);
-    const baseUrl = getBaseUrl(source);
-
-    let browser;
-    try {
-      // Launch browser with specific options
-      console.log('🌐 Launching browser...');
-      browser = await chromium.launch({
-        headless: true,  // Changed to true for production environment
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
-      
-      const context = await browser.newContext({
-        acceptDownloads: true,
-        ignoreHTTPSErrors: true,
-        javaScriptEnabled: true,
-        userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        viewport: { width: 1920, height: 1080 },
-        // Set download path explicitly for headless mode
-        ...(process.env.DOWNLOAD_PATH && {
-          downloadsPath: downloadPath
-        })
+    // Validate filters
+    const { filters, error: filterError } = parseSearchFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        error: 'Invalid search parameters',
+        message: filterError,
+        books: [],
+        total: 0,
+        page: 1,
+        totalPages: 0
       });
-      
-      const searchPage = await context.newPage();
-      console.log('✅ Browser launched successfully');
+    }
 
-      let allBooks = [];
+    console.log(`📚 Searching on ${sourceIds.join(', ')} for: "${query}"`, filters);
 
-      if (source === 'annas-archive') {
-        // Anna's Archive search logic
-        allBooks = await searchAnnasArchive(searchPage, query, baseUrl, context);
-      } else {
-        // Default ebook-hunter.org search logic
-        allBooks = await searchEbookHunter(searchPage, query, baseUrl, context);
+    try {
+      // Split the page between sources so page N of the merged results is
+      // page N of every source
+      const perSourceLimit = Math.ceil(limit / sourceIds.length);
+      const result = await searchAcrossSources(
+        sourceIds,
+        sourceId => pagedSearch.searchSourcePage(getSource(sourceId), query, {
+          page,
+          limit: perSourceLimit,
+          filters,
+          // Sources that can sort their own result pages do so upstream
+          sort,
+          refresh: req.query.refresh === 'true',
+          // Download URLs are resolved lazily via /books/resolve unless asked for
+          resolve: ['eager', 'true'].includes(req.query.resolve)
+        }),
+        { timeout: parseInt(process.env.SOURCE_SEARCH_TIMEOUT || '90000', 10) }
+      );
+
+      // Every requested source failed - report it as an error rather than "no
+      // results", typed when the sources failed for the same reason
+      if (result.sources.every(status => status.status !== 'ok')) {
+        console.error('❌ All sources failed:', result.sources);
+        const codes = [...new Set(result.sources.map(status => status.code))];
+        const sourceErrorInfo = codes.length === 1 ? SOURCE_ERRORS[codes[0]] : null;
+        const retryAfters = result.sources.map(status => status.retryAfter).filter(Boolean);
+        const retryAfter = retryAfters.length === result.sources.length ? Math.min(...retryAfters) : null;
+        if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+
+        return res.status(sourceErrorInfo?.httpStatus || 500).json({
+          error: sourceErrorInfo?.error || 'Failed to search books',
+          ...(sourceErrorInfo && { code: codes[0] }),
+          message: result.sources.map(status => `${status.id}: ${status.error}`).join('; '),
+          ...(retryAfter && { retryAfter }),
+          books: [],
+          total: 0,
+          page: 1,
+          totalPages: 0,
+          sources: result.sources
+        });
       }
 
-      console.log('📚 Books with download URLs:', allBooks.length);
-      
-      // Apply pagination
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + limit;
-      const paginatedBooks = allBooks.slice(startIndex, endIndex);
+      console.log(`📚 Books with download URLs: ${result.books.length} (${result.duplicatesMerged} duplicates merged)`);
+      suggestionIndex.addBooks(result.books);
+      if (result.books.length > 0) suggestionIndex.recordQuery(query);
+      setSearchCacheHeaders(res, result.sources);
+
+      // Pages map to the sources' own result pages, so totals come from upstream
+      const okSources = result.sources.filter(status => status.status === 'ok');
+      const totalPages = Math.max(0, ...okSources.map(status => Math.ceil(status.total / perSourceLimit)));
       
+      // Sorting applies to the merged results of this page. Only a single
+      // source that sorted its own pages upstream is in order across pages.
+      const books = rankBooks(result.books, query, { sort, preferredFormats: PREFERRED_FORMATS });
+      const sortScope = okSources.length === 1 && okSources[0].sortedBySource ? 'all' : 'page';
+
       const response = {
-        books: paginatedBooks,
-        total: allBooks.length,
+        books: books.slice(0, limit),
+        total: result.total,
+        totalIsEstimate: result.totalIsEstimate,
         page,
-        totalPages: Math.ceil(allBooks.length / limit),
-        source
+        limit,
+        totalPages,
+        hasMore: result.hasMore,
+        source,
+        sort,
+        sortScope,
+        filters,
+        sources: result.sources,
+        duplicatesMerged: result.duplicatesMerged
       };
 
       console.log('✅ Search completed successfully');
@@ -1797,12 +2194,6 @@ app.get('/books/search', async (req, res) => {
         page: 1,
         totalPages: 0
       });
-    } finally {
-      // Ensure browser is always closed
-      if (browser) {
-        await browser.close();
-        console.log('✅ Browser closed');
-      }
     }
   } catch (error) {
     console.error('❌ Search error:', error);
@@ -1817,348 +2208,772 @@ app.get('/books/search', async (req, res) => {
   }
 });
 
-// Anna's Archive search function
-async function searchAnnasArchive(searchPage, query, baseUrl, context) {
-  try {
-    // Navigate to Anna's Archive search
-    const searchUrl = `${baseUrl}/search?q=${encodeURIComponent(query)}`;
-    console.log('🔄 Navigating to Anna\'s Archive search URL:', searchUrl);
-    await searchPage.goto(searchUrl, {
-      waitUntil: 'domcontentloaded',
-      timeout: 30000
+// Streaming search over Server-Sent Events
+//
+// Emits `start`, then per source `listing` / `progress` / `book` events as each
+// download URL is resolved, `book-merged` when a source returns a book already
+// sent by another source, `source-complete` per source and finally `done`.
+app.get('/books/search/stream', async (req, res) => {
+  const query = req.query.query || '';
+  const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10) || 10, 1), MAX_SEARCH_LIMIT);
+  const source = req.query.source || getDefaultSourceId();
+
+  if (!query) {
+    return res.status(400).json({
+      error: 'Invalid search parameters',
+      message: 'Query parameter is required'
     });
-    console.log('✅ Anna\'s Archive search page loaded');
+  }
 
-    // Extract book metadata from Anna's Archive
-    const bookMetadata = await searchPage.evaluate((baseUrl) => {
-      const results = [];
-      
-      // Anna's Archive uses different selectors - look for search result items
-      document.querySelectorAll('div[class*="mb-"] a[href*="/md5/"]').forEach((linkElement) => {
-        try {
-          const href = linkElement.getAttribute('href');
-          if (!href || !href.includes('/md5/')) return;
+  const { sourceIds, invalid } = resolveRequestedSources(source);
+  if (invalid.length > 0 || sourceIds.length === 0) {
+    return res.status(400).json({
+      error: 'Invalid source',
+      message: `Source must be "all" or one or more of: ${getEnabledSourceIds().join(', ')}`
+    });
+  }
 
-          // Get the parent container that has the book info
-          const container = linkElement.closest('div[class*="mb-"]');
-          if (!container) return;
+  const { filters, error: filterError } = parseSearchFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({
+      error: 'Invalid search parameters',
+      message: filterError
+    });
+  }
 
-          // Extract title from the link text or nearby elements
-          const titleElement = linkElement.querySelector('h3') || linkElement;
-          const title = titleElement.textContent?.trim();
-          if (!title) return;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.flushHeaders();
 
-          // Look for metadata in the container
-          const metadataText = container.textContent || '';
-          
-          // Extract format from common patterns
-          const formatMatch = metadataText.match(/\.(pdf|epub|mobi|azw3|txt|doc|docx)\b/i);
-          const format = formatMatch ? formatMatch[1].toLowerCase() : 'pdf';
-
-          // Extract author - look for common patterns
-          const authorMatch = metadataText.match(/(?:by|author[:\s]+)([^,\n\r]+)/i);
-          const author = authorMatch ? authorMatch[1].trim() : 'Unknown Author';
-
-          // Extract year if available
-          const yearMatch = metadataText.match(/\b(19|20)\d{2}\b/);
-          const year = yearMatch ? yearMatch[0] : '';
-
-          // Build full URL
-          const bookUrl = href.startsWith('http') ? href : `${baseUrl}${href}`;
-
-          results.push({
-            title,
-            author,
-            format,
-            date: year,
-            category: 'General',
-            bookUrl,
-            coverImageUrl: '', // Anna's Archive doesn't always have cover images in search
-            source: 'annas-archive'
-          });
-        } catch (error) {
-          console.error('Error parsing Anna\'s Archive result:', error);
-        }
-      });
+  // Stop resolving books once the client goes away
+  const abortController = new AbortController();
+  req.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('🔌 Search stream closed by client');
+      abortController.abort();
+    }
+  });
 
-      return results;
-    }, baseUrl);
+  const sendEvent = (event, data) => {
+    if (res.writableEnded || abortController.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    console.log('📚 Anna\'s Archive books found:', bookMetadata.length);
+  // Keep the connection alive through proxies while pages load
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': heartbeat\n\n');
+  }, 15000);
 
-    // For Anna's Archive, we need to get download URLs from individual book pages
-    const allBooks = [];
-    for (const metadata of bookMetadata.slice(0, 15)) { // Limit to avoid too many requests
-      try {
-        const bookPage = await context.newPage();
-        const downloadInfo = await getAnnasArchiveDownloadUrl(bookPage, metadata.bookUrl);
-        await bookPage.close();
-        
-        if (downloadInfo.downloadUrl) {
-          allBooks.push({
-            id: crypto.randomUUID(),
-            ...metadata,
-            downloadUrl: downloadInfo.downloadUrl,
-            coverImageUrl: downloadInfo.coverImageUrl || metadata.coverImageUrl
-          });
-          console.log('✅ Got Anna\'s Archive download URL for:', metadata.title);
+  const startTime = Date.now();
+  const merger = createBookMerger();
+  const perSourceLimit = Math.ceil(limit / sourceIds.length);
+
+  console.log(`📡 Streaming search on ${sourceIds.join(', ')} for: "${query}"`);
+  sendEvent('start', { query, page, limit, filters, sources: sourceIds });
+
+  try {
+    const result = await searchAcrossSources(
+      sourceIds,
+      sourceId => pagedSearch.searchSourcePage(getSource(sourceId), query, {
+        page,
+        limit: perSourceLimit,
+        filters,
+        refresh: req.query.refresh === 'true',
+        resolve: true,
+        signal: abortController.signal,
+        onListing: listing => sendEvent('listing', { source: sourceId, ...listing }),
+        onProgress: progress => sendEvent('progress', { source: sourceId, ...progress }),
+        onBook: (book) => {
+          const { book: mergedBook, merged } = merger.add(book);
+          if (merged) {
+            sendEvent('book-merged', {
+              source: sourceId,
+              id: mergedBook.id,
+              sources: mergedBook.sources,
+              alternates: mergedBook.alternates
+            });
+          } else {
+            sendEvent('book', {
+              source: sourceId,
+              book: { ...mergedBook, score: scoreBook(mergedBook, query, { preferredFormats: PREFERRED_FORMATS }) }
+            });
+          }
         }
-      } catch (error) {
-        console.error('❌ Failed to get Anna\'s Archive download URL for:', metadata.title, error);
+      }),
+      {
+        timeout: parseInt(process.env.SOURCE_SEARCH_TIMEOUT || '90000', 10),
+        onSourceComplete: (status) => sendEvent('source-complete', status)
       }
-    }
+    );
+
+    suggestionIndex.addBooks(merger.books);
+    if (merger.books.length > 0) suggestionIndex.recordQuery(query);
+
+    sendEvent('done', {
+      count: merger.books.length,
+      total: result.total,
+      totalIsEstimate: result.totalIsEstimate,
+      hasMore: result.hasMore,
+      durationMs: Date.now() - startTime,
+      sources: result.sources
+    });
+    console.log('✅ Streaming search completed');
+  } catch (error) {
+    console.error('❌ Streaming search error:', error);
+    sendEvent('error', {
+      error: 'Failed to search books',
+      message: error.message || 'Unknown error'
+    });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Largest batch accepted by POST /books/resolve
+const MAX_RESOLVE_BATCH = 20;
+
+// Resolve one result token to its download URL and cover
+async function resolveResultToken(token, { refresh = false } = {}) {
+  const decoded = decodeResultToken(token);
+  if (!decoded) {
+    return { status: 400, body: { token, error: 'Invalid token', message: 'The result token is malformed' } };
+  }
 
-    return allBooks;
+  const { sourceId, bookUrl } = decoded;
+  if (!getSource(sourceId)) {
+    return { status: 400, body: { token, error: 'Invalid source', message: `Source "${sourceId}" is not enabled` } };
+  }
+  if (!isSourceUrl(sourceId, bookUrl)) {
+    return { status: 400, body: { token, error: 'Invalid token', message: 'The book URL does not belong to the token\'s source' } };
+  }
+
+  let result;
+  try {
+    result = await pagedSearch.resolveBookUrl(getSource(sourceId), bookUrl, { refresh });
   } catch (error) {
-    console.error('❌ Anna\'s Archive search error:', error);
-    return [];
+    if (!isSourceError(error)) throw error;
+    return {
+      status: SOURCE_ERRORS[error.code].httpStatus,
+      retryAfter: error.retryAfter,
+      body: {
+        token,
+        source: sourceId,
+        bookUrl,
+        error: SOURCE_ERRORS[error.code].error,
+        code: error.code,
+        message: error.message,
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+      }
+    };
   }
+  const { downloadUrl, coverImageUrl, details } = result.value;
+
+  if (!downloadUrl) {
+    return {
+      status: 404,
+      body: { token, source: sourceId, bookUrl, error: 'Download URL not found', message: 'No download link was found on the book page' }
+    };
+  }
+
+  return {
+    status: 200,
+    cache: result.status,
+    body: {
+      token,
+      source: sourceId,
+      bookUrl,
+      downloadUrl,
+      coverImageUrl: coverImageUrl || '',
+      ...(details && { details }),
+      resolved: true
+    }
+  };
 }
 
-// Get download URL from Anna's Archive book page
-async function getAnnasArchiveDownloadUrl(page, bookUrl) {
+// Resolve a search result's download URL on demand
+app.get('/books/resolve/:token', async (req, res) => {
   try {
-    console.log('📖 Navigating to Anna\'s Archive book page:', bookUrl);
-    await page.goto(bookUrl, {
-      waitUntil: 'domcontentloaded',
-      timeout: 30000
+    const result = await resolveResultToken(req.params.token, { refresh: req.query.refresh === 'true' });
+    if (result.cache) res.setHeader('X-Cache', result.cache);
+    if (result.retryAfter) res.setHeader('Retry-After', String(result.retryAfter));
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('❌ Resolve error:', error);
+    return res.status(500).json({
+      error: 'Failed to resolve book',
+      message: error.message || 'Unknown error'
     });
+  }
+});
 
-    const result = await page.evaluate(() => {
-      // Look for download links - Anna's Archive typically has multiple download options
-      const downloadLinks = document.querySelectorAll('a[href*="download"]');
-      let downloadUrl = '';
-      
-      // Prefer direct download links
-      for (const link of downloadLinks) {
-        const href = link.getAttribute('href');
-        if (href && (href.includes('libgen') || href.includes('sci-hub') || href.includes('download'))) {
-          downloadUrl = href.startsWith('http') ? href : `https://annas-archive.org${href}`;
-          break;
-        }
-      }
+// Resolve several search results at once
+app.post('/books/resolve', async (req, res) => {
+  try {
+    const { tokens } = req.body || {};
 
-      // If no direct download found, look for the first available download link
-      if (!downloadUrl && downloadLinks.length > 0) {
-        const firstLink = downloadLinks[0];
-        const href = firstLink.getAttribute('href');
-        if (href) {
-          downloadUrl = href.startsWith('http') ? href : `https://annas-archive.org${href}`;
-        }
-      }
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Body must contain a non-empty "tokens" array'
+      });
+    }
 
-      // Look for cover image
-      const coverImg = document.querySelector('img[src*="cover"]') || document.querySelector('img[alt*="cover"]');
-      const coverImageUrl = coverImg ? coverImg.getAttribute('src') : '';
+    if (tokens.length > MAX_RESOLVE_BATCH) {
+      return res.status(400).json({
+        error: 'Too many tokens',
+        message: `At most ${MAX_RESOLVE_BATCH} tokens can be resolved per request`
+      });
+    }
 
-      return { 
-        downloadUrl,
-        coverImageUrl: coverImageUrl && coverImageUrl.startsWith('http') ? coverImageUrl : ''
-      };
-    });
+    const results = await Promise.all([...new Set(tokens)].map(async (token) => {
+      try {
+        const result = await resolveResultToken(token);
+        return { ...result.body, status: result.status };
+      } catch (error) {
+        console.error('❌ Resolve error for token:', token, error);
+        return { token, status: 500, error: 'Failed to resolve book', message: error.message };
+      }
+    }));
 
-    return result;
+    return res.json({
+      results,
+      resolved: results.filter(result => result.status === 200).length,
+      failed: results.filter(result => result.status !== 200).length
+    });
   } catch (error) {
-    console.error('❌ Failed to get Anna\'s Archive download URL:', error);
-    return { downloadUrl: '', coverImageUrl: '' };
+    console.error('❌ Batch resolve error:', error);
+    return res.status(500).json({
+      error: 'Failed to resolve books',
+      message: error.message || 'Unknown error'
+    });
   }
-}
+});
+
+// Time the library lookup may take before suggestions are sent without it
+const SUGGEST_LIBRARY_TIMEOUT = parseInt(process.env.SUGGEST_LIBRARY_TIMEOUT || '75', 10);
+
+// Autocomplete: popular past queries, library titles/authors and titles from
+// recent search results. Answers from memory and one bounded database query;
+// never launches a browser.
+app.get('/books/suggest', async (req, res) => {
+  const startTime = Date.now();
+  const query = (req.query.q || '').toString().trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '8', 10) || 8, 1), 20);
 
-// Existing ebook-hunter.org search function (extracted from original logic)
-async function searchEbookHunter(searchPage, query, baseUrl, context) {
-  // Navigate directly to search URL
-  const searchUrl = `${baseUrl}/search/?keyword=${encodeURIComponent(query)}`;
-  console.log('🔄 Navigating to ebook-hunter search URL:', searchUrl);
-  await searchPage.goto(searchUrl, {
-    waitUntil: 'domcontentloaded',
-    timeout: 30000
+  if (query.length < 2) {
+    return res.json({ query, suggestions: [], partial: false, durationMs: Date.now() - startTime });
+  }
+
+  const { suggestions, partial } = await collectSuggestions(suggestionIndex, query, {
+    limit,
+    libraryLookup: (prefix, options) => suggestFromLibrary(supabase, prefix, options),
+    libraryTimeout: SUGGEST_LIBRARY_TIMEOUT
   });
-  console.log('✅ Ebook-hunter search page loaded');
 
-  // Remove any overlay and wait for it to be gone
-  console.log('🔍 Checking for advertisement overlay...');
-  await searchPage.evaluate(() => {
-    const adOverlay = document.querySelector('.pmjlvmd');
-    if (adOverlay) {
-      console.log('🗑️ Removing advertisement overlay');
-      adOverlay.remove();
-    }
+  res.setHeader('Cache-Control', 'private, max-age=30');
+  res.json({
+    query,
+    suggestions,
+    partial,
+    durationMs: Date.now() - startTime
   });
+});
 
-  // First collect all book metadata and page URLs
-  const bookMetadata = await searchPage.evaluate((baseUrl) => {
-    // Remove any overlay that might have appeared
-    const adOverlay = document.querySelector('.pmjlvmd');
-    if (adOverlay) {
-      adOverlay.remove();
-    }
+// Largest page size for library search
+const MAX_LIBRARY_LIMIT = 50;
 
-    // Find all book entries - they're in div.index_box containers
-    const results = [];
-    
-    // Look for book entries that match the structure in the DOM
-    document.querySelectorAll('div.index_box').forEach((bookBox) => {
-      // Get the title element which contains the link and metadata
-      const titleElement = bookBox.querySelector('.index_box_title.list_title');
-      if (!titleElement) return;
+// Full-text search over downloaded books
+app.get('/library/search', async (req, res) => {
+  const query = (req.query.q || req.query.query || '').toString();
+  const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10) || 20, 1), MAX_LIBRARY_LIMIT);
+  const sort = req.query.sort;
 
-      // Get the link element
-      const linkElement = titleElement.querySelector('a');
-      if (!linkElement) return;
+  if (sort && !LIBRARY_SORT_OPTIONS.includes(sort)) {
+    return res.status(400).json({
+      error: 'Invalid search parameters',
+      message: `sort must be one of: ${LIBRARY_SORT_OPTIONS.join(', ')}`
+    });
+  }
 
-      // Extract the cover image URL if it exists
-      const coverImageElement = bookBox.querySelector('.index_box_img img, .index_box_lit img');
-      const coverImageSrc = coverImageElement?.getAttribute('src') || '';
-      // Ensure we're getting the full URL, either already absolute or relative that we need to make absolute
-      const coverImageUrl = coverImageSrc.startsWith('http') ? coverImageSrc : coverImageSrc ? `https://img.ebook-hunter.org${coverImageSrc}` : '';
-      
-      // Get the info element that contains metadata
-      const infoElement = bookBox.querySelector('.index_box_info.list_title');
-      const infoText = infoElement?.textContent || '';
+  const { filters, error: filterError } = parseSearchFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({
+      error: 'Invalid search parameters',
+      message: filterError
+    });
+  }
 
-      // Get the full text content for parsing
-      const fullText = infoText.trim();
-      
-      // Parse the format (usually at the start, like "pdf |")
-      const formatMatch = fullText.match(/^(\w+)\s*\|/);
-      const format = formatMatch ? formatMatch[1].toLowerCase() : 'unknown';
-
-      // Parse the date (usually in YYYY-MM-DD format)
-      const dateMatch = fullText.match(/\|\s*(\d{4}-\d{2}-\d{2})/);
-      const date = dateMatch ? dateMatch[1] : '';
-
-      // Parse the author (usually after "Author:")
-      const authorMatch = fullText.match(/Author:\s*([^|)]+)/);
-      const author = authorMatch ? authorMatch[1].trim() : 'Unknown';
-
-      // Parse the category (usually in parentheses with "Category:" prefix)
-      const categoryMatch = fullText.match(/Category:\s*([^)]+)\)/);
-      const category = categoryMatch ? categoryMatch[1].trim() : '';
-
-      // Get the title from the link text
-      const title = linkElement.textContent?.trim();
-      if (!title) return; // Skip if no title found
-
-      results.push({
-        title,
-        author,
-        format,
-        date,
-        category,
-        bookUrl: linkElement.href,
-        coverImageUrl: coverImageUrl.startsWith('http') ? coverImageUrl : coverImageUrl ? `${baseUrl}${coverImageUrl}` : '',
-        source: 'ebook-hunter'
-      });
+  try {
+    console.log(`📚 Searching library for: "${query}"`, filters);
+    const result = await searchLibrary(supabase, { query, filters, sort, page, limit });
+    console.log(`✅ Library search found ${result.total} books (${result.backend})`);
+
+    res.json({
+      books: result.books,
+      total: result.total,
+      page,
+      limit,
+      totalPages: Math.ceil(result.total / limit),
+      hasMore: page * limit < result.total,
+      query,
+      terms: result.terms,
+      filters,
+      sort: result.sort,
+      backend: result.backend
     });
+  } catch (error) {
+    console.error('❌ Library search error:', error);
+    res.status(500).json({
+      error: 'Failed to search library',
+      message: error.message || 'Unknown error'
+    });
+  }
+});
 
-    return results;
-  }, baseUrl);
+// Books stored more than once as the same file (by content hash)
+app.get('/library/duplicates', async (req, res) => {
+  try {
+    console.log('🔍 Looking for duplicate books...');
+    const report = await findDuplicateBooks(supabase);
+    console.log(`✅ Found ${report.groups.length} duplicated files (${report.duplicateBooks} extra books)`);
 
-  console.log('📚 Ebook-hunter books found:', bookMetadata.length);
+    res.json({
+      totalGroups: report.groups.length,
+      duplicateBooks: report.duplicateBooks,
+      reclaimableBytes: report.reclaimableBytes,
+      unhashed: report.unhashed,
+      groups: report.groups
+    });
+  } catch (error) {
+    console.error('❌ Library duplicates error:', error);
+    res.status(500).json({
+      error: 'Failed to find duplicate books',
+      message: error.message || 'Unknown error'
+    });
+  }
+});
+
+// OPDS catalog of the library for e-reader apps (KOReader, Moon+ Reader, ...):
+// OPDS 1.2 (Atom) under /opds and OPDS 2.0 (JSON) under /opds/v2
+const OPDS_PAGE_SIZE = 25;
+const OPDS_CATALOGS = [
+  {
+    prefix: '/opds',
+    send: (res, feed) => res.type(OPDS_TYPES[feed.kind]).send(renderAtomFeed(feed, { prefix: '/opds' }))
+  },
+  {
+    prefix: '/opds/v2',
+    send: (res, feed) => res.type(OPDS_TYPES.opds2).send(JSON.stringify(renderOpds2Feed(feed, { prefix: '/opds/v2' })))
+  }
+];
 
-  // Function to extract cover image URL
-  function extractCoverImageUrl(bookUrl, existingImageUrl) {
-    // If we already have a valid image URL, use it
-    if (existingImageUrl && existingImageUrl.startsWith('http')) {
-      return existingImageUrl;
+function opdsPage(req) {
+  return Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+}
+
+// Acquisition links point at the stored file, or with OPDS_ACQUISITION=proxy
+// at /opds/books/:id/file (for storage the reader can't reach)
+function toOpdsPublication(book) {
+  const href = process.env.OPDS_ACQUISITION === 'proxy' || !book.fileUrl
+    ? `/opds/books/${book.id}/file`
+    : book.fileUrl;
+  return { ...book, acquisition: { href, type: bookMimeType(book.format) } };
+}
+
+// An acquisition feed of library books
+async function opdsBookFeed(req, { path, title, query = {}, search = {} }) {
+  const page = opdsPage(req);
+  const result = await searchLibrary(supabase, { ...search, page, limit: OPDS_PAGE_SIZE });
+  return {
+    path,
+    query,
+    title,
+    kind: 'acquisition',
+    updated: new Date().toISOString(),
+    publications: result.books.map(toOpdsPublication),
+    pagination: { page, limit: OPDS_PAGE_SIZE, total: result.total }
+  };
+}
+
+// A navigation feed listing every author or category
+async function opdsFacetFeed(req, { column, path, title }) {
+  const page = opdsPage(req);
+  const values = await listLibraryFacet(supabase, column);
+  return {
+    path,
+    title,
+    kind: 'navigation',
+    updated: new Date().toISOString(),
+    navigation: values.slice((page - 1) * OPDS_PAGE_SIZE, page * OPDS_PAGE_SIZE).map(({ value, count }) => ({
+      title: value,
+      path: `${path}/${encodeURIComponent(value)}`,
+      kind: 'acquisition',
+      count
+    })),
+    pagination: { page, limit: OPDS_PAGE_SIZE, total: values.length }
+  };
+}
+
+const OPDS_FEEDS = {
+  '': async () => ({
+    path: '',
+    title: CATALOG_TITLE,
+    kind: 'navigation',
+    updated: new Date().toISOString(),
+    navigation: [
+      { title: 'Recently added', path: '/recent', kind: 'acquisition', rel: 'http://opds-spec.org/sort/new' },
+      { title: 'By author', path: '/authors', kind: 'navigation' },
+      { title: 'By category', path: '/categories', kind: 'navigation' }
+    ]
+  }),
+  '/recent': req => opdsBookFeed(req, {
+    path: '/recent',
+    title: 'Recently added',
+    search: { sort: 'added' }
+  }),
+  '/authors': req => opdsFacetFeed(req, { column: 'author', path: '/authors', title: 'Authors' }),
+  '/authors/:author': req => opdsBookFeed(req, {
+    path: `/authors/${encodeURIComponent(req.params.author)}`,
+    title: req.params.author,
+    search: { exact: { author: req.params.author }, sort: 'title' }
+  }),
+  '/categories': req => opdsFacetFeed(req, { column: 'category', path: '/categories', title: 'Categories' }),
+  '/categories/:category': req => opdsBookFeed(req, {
+    path: `/categories/${encodeURIComponent(req.params.category)}`,
+    title: req.params.category,
+    search: { exact: { category: req.params.category }, sort: 'title' }
+  }),
+  '/search': (req) => {
+    const query = (req.query.q || req.query.query || '').toString();
+    return opdsBookFeed(req, {
+      path: '/search',
+      query: { q: query },
+      title: query ? `Search: ${query}` : 'Search',
+      search: { query }
+    });
+  }
+};
+
+for (const catalog of OPDS_CATALOGS) {
+  for (const [path, buildFeed] of Object.entries(OPDS_FEEDS)) {
+    app.get(`${catalog.prefix}${path}`, async (req, res) => {
+      try {
+        catalog.send(res, await buildFeed(req));
+      } catch (error) {
+        console.error('❌ OPDS feed error:', error);
+        res.status(500).json({
+          error: 'Failed to build OPDS feed',
+          message: error.message || 'Unknown error'
+        });
+      }
+    });
+  }
+}
+
+app.get('/opds/opensearch.xml', (req, res) => {
+  res.type(OPDS_TYPES.opensearch).send(renderOpenSearchDescription({ origin: `${req.protocol}://${req.get('host')}` }));
+});
+
+// A stored book file, fetched through the server
+app.get('/opds/books/:id/file', async (req, res) => {
+  try {
+    const book = await getLibraryBook(supabase, req.params.id);
+    if (!book || !book.fileUrl) {
+      return res.status(404).json({
+        error: 'Book not found',
+        message: `No stored book with id ${req.params.id}`
+      });
     }
 
-    // Extract book identifier from URL
-    const bookIdMatch = bookUrl.match(/\/([^/]+)\/$/);
-    if (!bookIdMatch) return '';
-    const bookId = bookIdMatch[1];
+    const response = await fetchStoredBook(book.fileUrl);
+    if (!response.ok) {
+      console.error(`❌ OPDS file fetch failed: ${response.status} ${response.statusText}`);
+      return res.status(502).json({
+        error: 'Failed to fetch book content',
+        message: `Storage answered ${response.status} ${response.statusText}`
+      });
+    }
 
-    // Construct image URL based on the pattern
-    return `https://img.ebook-hunter.org/img/${bookId}_small.jpg`;
+    const extension = (book.format || 'bin').toLowerCase();
+    const fileName = `${(book.title || 'book').replace(/[^\p{L}\p{N} ._-]+/gu, '').trim() || 'book'}.${extension}`;
+    res.setHeader('Content-Type', bookMimeType(book.format));
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    const length = bodyLength(response.headers);
+    if (length !== null) res.setHeader('Content-Length', length);
+    await pipeline(response.body, res);
+  } catch (error) {
+    console.error('❌ OPDS file error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to fetch book content',
+        message: error.message || 'Unknown error'
+      });
+    }
   }
+});
 
-  // Function to get book download URL
-  async function getBookDownloadUrl(page, bookUrl) {
-    try {
-      // Navigate to the book's page
-      console.log('📖 Navigating to book page:', bookUrl);
-      await page.goto(bookUrl, {
-        waitUntil: 'domcontentloaded',
-        timeout: 30000
+// Book details API endpoint
+app.get('/books/:id', async (req, res) => {
+  try {
+    const book = await getLibraryBook(supabase, req.params.id);
+    if (!book) {
+      return res.status(404).json({
+        error: 'Book not found',
+        message: `No downloaded book with id ${req.params.id}`
       });
+    }
+    res.json(book);
+  } catch (error) {
+    console.error('❌ Book lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to get book',
+      message: error.message || 'Unknown error'
+    });
+  }
+});
 
-      // Wait for and find the download link and cover image
-      const result = await page.evaluate(() => {
-        // Remove any overlay that might appear
-        const adOverlay = document.querySelector('.pmjlvmd');
-        if (adOverlay) adOverlay.remove();
+// Book page URL and details for a search result token: { bookUrl, details }.
+// The page is usually cached from the search; details are null when it can't
+// be read. Returns null for a token that isn't valid.
+async function readBookDetails(token) {
+  const decoded = decodeResultToken(token);
+  if (!decoded || !getSource(decoded.sourceId) || !isSourceUrl(decoded.sourceId, decoded.bookUrl)) return null;
 
-        // Look for the download link in the to-lock section
-        const downloadLink = document.querySelector('.to-lock a');
-        
-        // Look for cover image
-        const coverImg = document.querySelector('.single_box_img img, .index_box_lit img');
-        const coverSrc = coverImg?.getAttribute('src') || '';
-        // Format the image URL correctly based on the site's structure
-        const coverImageUrl = coverSrc.startsWith('http') ? coverSrc : coverSrc ? `https://img.ebook-hunter.org${coverSrc}` : '';
-        
-        return { 
-          downloadUrl: downloadLink?.href || '',
-          coverImageUrl
-        };
+  try {
+    const result = await pagedSearch.resolveBookUrl(getSource(decoded.sourceId), decoded.bookUrl);
+    return { bookUrl: decoded.bookUrl, details: result.value.details || null };
+  } catch (error) {
+    console.warn(`⚠️ Could not read book details from ${decoded.bookUrl}:`, error.message);
+    return { bookUrl: decoded.bookUrl, details: null };
+  }
+}
+
+// Direct downloads (see direct-download.js)
+const DOWNLOAD_HTTP_TIMEOUT = parseInt(process.env.DOWNLOAD_HTTP_TIMEOUT || '30000', 10);
+const DOWNLOAD_MAX_BYTES = parseInt(process.env.DOWNLOAD_MAX_MB || '500', 10) * 1024 * 1024;
+
+// Download a book with the strategy for its host (see downloads/index.js),
+// check the file (see file-validation.js) and store it in Supabase, linking to
+// an already stored copy of the same file (see book-duplicates.js):
+// { id, s3_bucket_url, existing, strategy, format, claimedFormat, sha256,
+// duplicateOf }. Runs as a download job and reports each phase through onProgress.
+async function downloadBook({ url, title, author, format, category, coverImageUrl, token }, { onProgress = () => {} } = {}) {
+  const downloadPath = process.env.DOWNLOAD_PATH || '/tmp/downloads';
+  console.log('📂 Using download path:', downloadPath);
+
+  // The book may have been stored since the job was queued
+  const existingBook = await checkBookExists(url);
+  if (existingBook) {
+    console.log('✅ Book already exists in database:', existingBook.id);
+    return { id: existingBook.id, s3_bucket_url: existingBook.s3_bucket_url, existing: true };
+  }
+
+  // Book details come from the search result's book page, read here rather
+  // than taken from the request
+  const bookPage = token ? await readBookDetails(token) : null;
+
+  const toBookMetadata = filename => ({
+    title: title || filename.replace(/\.[^/.]+$/, ""),
+    author: author || 'Unknown Author',
+    format: format || 'pdf',
+    category: category || null,
+    coverImageUrl: coverImageUrl || null,
+    downloadUrl: url,
+    bookUrl: bookPage?.bookUrl || url,
+    details: bookPage?.details || null
+  });
+
+  // Jobs queued before a restart weren't necessarily checked
+  const unsupported = checkDownloadUrl(url);
+  if (unsupported) throw unsupported;
+  const strategy = getDownloadStrategy(url);
+  console.log(`🧭 Downloading with the ${strategy.name} strategy`);
+
+  let browserLease;
+  let page;
+  const tempFiles = [];
+
+  const tempPath = (filename) => {
+    const filePath = path.join(downloadPath, `temp_${crypto.randomUUID()}_${filename.replace(/[^a-zA-Z0-9.-]/g, '_')}`);
+    tempFiles.push(filePath);
+    return filePath;
+  };
+
+  // Shared by the strategies, see downloads/index.js
+  const context = {
+    onProgress,
+    tempPath,
+    userAgent: browserContextOptions.userAgent,
+
+    async fetchFile(fileUrl, { referer } = {}) {
+      onProgress({ phase: 'probing', url: fileUrl });
+      const directDownload = await probeDownload(fileUrl, {
+        userAgent: browserContextOptions.userAgent,
+        referer,
+        timeout: DOWNLOAD_HTTP_TIMEOUT
       });
+      if (!directDownload) return null;
+
+      const { filename } = directDownload;
+      console.log(`⚡ Direct download of ${filename} (${directDownload.contentType || 'unknown type'}, ${directDownload.size ?? 'unknown'} bytes)`);
+      const filePath = tempPath(filename);
+      const { bytes } = await saveDownload(directDownload, filePath, {
+        maxBytes: DOWNLOAD_MAX_BYTES,
+        idleTimeout: DOWNLOAD_HTTP_TIMEOUT,
+        onProgress: progress => onProgress({ phase: 'downloading', filename, ...progress })
+      });
+      return { filePath, filename, bytes };
+    },
 
-      if (!result.downloadUrl) {
-        console.log('❌ No download link found on book page');
+    // One page per download; leasing a second would trip the popup blocker
+    async openPage() {
+      if (!page) {
+        browserLease = await downloadBrowserPool.acquire(browserContextOptions);
+        page = await openDownloadPage(browserLease.context);
       }
+      return page;
+    }
+  };
 
-      // Return the result
-      return result;
-    } catch (error) {
-      console.error('❌ Failed to get book download URL:', error);
-      return { downloadUrl: '' };
+  try {
+    await fs.promises.mkdir(downloadPath, { recursive: true });
+    console.log('📁 Download directory ensured');
+
+    const { filePath, filename } = await strategy.download(url, context);
+
+    const { size } = await fs.promises.stat(filePath);
+    console.log(`📊 Downloaded file size: ${size} bytes`);
+    if (size === 0) {
+      throw new Error('Downloaded file is empty');
+    }
+
+    // Reject error pages and damaged files; store the format the file really is
+    onProgress({ phase: 'validating', filename });
+    const validation = await validateBookFile(filePath, { claimedFormat: format });
+    if (!validation.valid) {
+      throw downloadError('INVALID_FILE', url, validation.reason);
+    }
+    if (validation.corrected) {
+      console.log(`🔧 Claimed ${validation.claimedFormat} but the file is ${validation.format}; storing it as ${validation.format}`);
+    }
+    const extension = path.extname(filename);
+    const storedFilename = extension.slice(1).toLowerCase() === validation.format
+      ? filename
+      : `${path.basename(filename, extension)}.${validation.format}`;
+
+    const supabaseResult = await uploadToSupabaseStorage(
+      filePath,
+      storedFilename,
+      { ...toBookMetadata(storedFilename), format: validation.format },
+      { onProgress }
+    );
+    console.log('✅ Book successfully uploaded to Supabase');
+    return {
+      id: supabaseResult.id,
+      s3_bucket_url: supabaseResult.s3_bucket_url,
+      existing: false,
+      strategy: strategy.id,
+      format: validation.format,
+      claimedFormat: validation.claimedFormat,
+      sha256: supabaseResult.sha256,
+      duplicateOf: supabaseResult.duplicateOf
+    };
+  } finally {
+    // Clean up temporary files
+    for (const filePath of tempFiles) {
+      try {
+        if (fs.existsSync(filePath)) {
+          await fs.promises.unlink(filePath);
+          console.log('🧹 Temporary file cleaned up:', filePath);
+        }
+      } catch (err) {
+        console.error('❌ Error cleaning up temporary file:', err);
+      }
+    }
+
+    if (browserLease) {
+      console.log('🔒 Releasing browser context...');
+      await browserLease.release();
     }
   }
+}
 
-  // Process books sequentially to avoid race conditions
-  const allBooks = [];
-  for (const metadata of bookMetadata.slice(0, 20)) { // Limit to first 20 to avoid too many requests
+// Download jobs (see download-jobs.js), kept in Postgres when the server has a
+// direct Postgres connection or DOWNLOAD_JOB_STORE=postgres, and otherwise in a
+// JSON file. The file lives next to the app, not in /tmp, so jobs survive a
+// container restart when that directory is a volume.
+const DOWNLOAD_JOB_FILE = process.env.DOWNLOAD_JOB_FILE || path.join(__dirname, 'data', 'jobs.json');
+let downloadJobStore = createFileJobStore(DOWNLOAD_JOB_FILE);
+
+if (process.env.DOWNLOAD_JOB_STORE !== 'file' && supabase?.pgClient) {
+  downloadJobStore = createPostgresJobStore(supabase.pgClient);
+  console.log('💾 Download jobs using Postgres store (direct database connection)');
+} else if (process.env.DOWNLOAD_JOB_STORE === 'postgres') {
+  if (process.env.POSTGRES_PASSWORD) {
     try {
-      // Create a new page for each book to avoid navigation conflicts
-      const bookPage = await context.newPage();
-      const { downloadUrl, coverImageUrl: bookPageCoverImageUrl } = await getBookDownloadUrl(bookPage, metadata.bookUrl);
-      await bookPage.close();
-      if (downloadUrl) {
-        allBooks.push({
-          id: crypto.randomUUID(), // Add unique ID
-          ...metadata,
-          downloadUrl,
-          coverImageUrl: extractCoverImageUrl(metadata.bookUrl, metadata.coverImageUrl || bookPageCoverImageUrl || ''),
-        });
-        console.log('✅ Got download URL for:', metadata.title);
-      }
+      const postgres = await import('postgres');
+      const jobsPgClient = postgres.default({
+        host: process.env.POSTGRES_HOST || 'supabase-db-g00sk4cwgwk0cwkc8kcgc8gk',
+        port: 5432,
+        database: 'postgres',
+        username: 'postgres',
+        password: process.env.POSTGRES_PASSWORD,
+        connect_timeout: 10,
+        max: 2
+      });
+      downloadJobStore = createPostgresJobStore(jobsPgClient);
+      console.log('💾 Download jobs using Postgres store');
     } catch (error) {
-      console.error('❌ Failed to get download URL for:', metadata.title, error);
+      console.error('❌ Failed to set up Postgres download job store, using file:', error.message);
     }
+  } else {
+    console.log(`⚠️ DOWNLOAD_JOB_STORE=postgres but POSTGRES_PASSWORD is not set - using file store (${DOWNLOAD_JOB_FILE})`);
   }
-
-  return allBooks;
+} else {
+  console.log(`💾 Download jobs using file store (${DOWNLOAD_JOB_FILE})`);
 }
 
-// Book details API endpoint
-app.get('/books/:id', (req, res) => {
-  // For now, return a 404 as this endpoint isn't implemented yet
-  res.status(404).json({
-    error: 'Book not found',
-    message: 'This endpoint is not fully implemented yet'
-  });
+const downloadJobs = createDownloadJobQueue({
+  store: downloadJobStore,
+  worker: async (request, { onProgress }) => {
+    const { id, s3_bucket_url, existing, strategy, format, claimedFormat, sha256, duplicateOf } = await downloadBook(request, { onProgress });
+    return {
+      bookId: id,
+      s3_bucket_url,
+      existing,
+      strategy: strategy || null,
+      format: format || null,
+      claimedFormat: claimedFormat || null,
+      sha256: sha256 || null,
+      duplicateOf: duplicateOf || null
+    };
+  },
+  concurrency: parseInt(process.env.DOWNLOAD_JOB_CONCURRENCY || '2', 10),
+  maxAttempts: parseInt(process.env.DOWNLOAD_JOB_MAX_ATTEMPTS || '3', 10),
+  retryDelayMs: parseInt(process.env.DOWNLOAD_JOB_RETRY_DELAY || '30000', 10),
+  retentionMs: parseInt(process.env.DOWNLOAD_JOB_RETENTION_DAYS || '7', 10) * 24 * 60 * 60 * 1000
 });
 
-// Book download URL API endpoint
+try {
+  await downloadJobs.start();
+} catch (error) {
+  console.error('❌ Failed to load saved download jobs:', error.message);
+}
+
+// Queue a book download; the job is followed at GET /jobs/:id
 app.post('/books/download', async (req, res) => {
   try {
-    const { url, title, author, format, category, coverImageUrl } = req.body;
+    const { url, title, author, format, category, coverImageUrl, token } = req.body;
     console.log('🎯 Download requested for URL:', url);
-    
-    const downloadPath = process.env.DOWNLOAD_PATH || '/tmp/downloads';
-    console.log('📂 Using download path:', downloadPath);
 
-    if (!url || !url.startsWith('http')) {
+    if (!url || typeof url !== 'string') {
       console.log('❌ Invalid URL format:', url);
       return res.status(400).json({
         error: 'Invalid URL',
@@ -2166,6 +2981,26 @@ app.post('/books/download', async (req, res) => {
       });
     }
 
+    // Refuse URLs no strategy can download now rather than failing the job later
+    const unsupported = checkDownloadUrl(url);
+    if (unsupported) {
+      console.log('❌ Cannot download URL:', unsupported.message);
+      return res.status(400).json({
+        error: 'Unsupported host',
+        code: unsupported.code,
+        message: unsupported.message
+      });
+    }
+
+    // The token names the search result whose book page the details are read from
+    const decodedToken = token ? decodeResultToken(token) : null;
+    if (token && (!decodedToken || !getSource(decodedToken.sourceId) || !isSourceUrl(decodedToken.sourceId, decodedToken.bookUrl))) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'The result token is malformed or its book URL does not belong to an enabled source'
+      });
+    }
+
     // Check if book already exists in database
     console.log('🔍 Checking if book already exists...');
     const existingBook = await checkBookExists(url);
@@ -2179,436 +3014,92 @@ app.post('/books/download', async (req, res) => {
       });
     }
 
-    let browser;
-    let tempFilePath = null;
-
-    try {
-      await fs.promises.mkdir(downloadPath, { recursive: true });
-      console.log('📁 Download directory ensured');
-
-      // Launch browser with enhanced headless settings for production
-      browser = await chromium.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor',
-          '--disable-blink-features=AutomationControlled',
-          '--no-first-run',
-          '--disable-extensions',
-          '--disable-plugins',
-          '--disable-images', // Reduces memory usage and speeds up loading
-          '--disable-javascript-harmony-shipping',
-          '--disable-background-timer-throttling',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-renderer-backgrounding',
-          '--window-size=1920,1080'
-        ]
-      });
-
-      // Configure context with enhanced settings for headless mode
-      const context = await browser.newContext({
-        acceptDownloads: true,
-        ignoreHTTPSErrors: true,
-        javaScriptEnabled: true,
-        userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        viewport: { width: 1920, height: 1080 },
-        // Set download path explicitly for headless mode
-        ...(process.env.DOWNLOAD_PATH && {
-          downloadsPath: downloadPath
-        })
-      });
-
-      const page = await context.newPage();
-      console.log('📄 New page created');
+    const { job, duplicate } = await downloadJobs.enqueue({ url, title, author, format, category, coverImageUrl, ...(token && { token }) });
+    console.log(`📥 Download job ${job.id} ${duplicate ? 'already queued' : 'queued'} for:`, url);
 
-      // Enhanced popup handling with immediate closure for headless mode
-      context.on('page', async (newPage) => {
-        try {
-          const popupUrl = newPage.url();
-          console.log(`🚫 Popup detected: ${popupUrl}. Closing immediately.`);
-          
-          // Don't wait for any loading, close immediately
-          await newPage.close();
-          console.log(`✅ Popup closed: ${popupUrl}`);
-        } catch (error) {
-          console.log(`⚠️ Error closing popup: ${error.message}`);
-          // Try to force close if regular close fails
-          try {
-            if (!newPage.isClosed()) {
-              await newPage.close();
-            }
-          } catch (finalError) {
-            console.log(`⚠️ Could not force close popup: ${finalError.message}`);
-          }
-        }
-      });
-
-      // Enhanced ad/popup blocking for headless mode
-      await page.route('**/*', async (route) => {
-        const url = route.request().url();
-        const resourceType = route.request().resourceType();
-        
-        // Block known ad/popup domains and resource types
-        const blockedDomains = [
-          'etoro.com',
-          'doubleclick.net',
-          'googleadservices.com',
-          'googlesyndication.com',
-          'amazon-adsystem.com',
-          'facebook.com/tr',
-          'google-analytics.com',
-          'googletag',
-          'adsystem',
-          'ads.yahoo.com',
-          'bing.com/ads',
-          'taboola.com',
-          'outbrain.com',
-          'media.net',
-          'popads.net',
-          'popcash.net'
-        ];
-
-        // Block specific resource types that can cause popup issues
-        const blockedResourceTypes = [
-          'stylesheet', // Reduces loading time
-          'font',       // Reduces loading time
-          'image'       // We already disabled images, but double-check
-        ];
-        
-        if (blockedDomains.some(domain => url.includes(domain)) || 
-            blockedResourceTypes.includes(resourceType)) {
-          console.log(`🚫 Blocked ${resourceType} request to: ${url}`);
-          await route.abort();
-        } else {
-          await route.continue();
-        }
-      });
-
-      // Add extra protection against popups using JavaScript injection
-      await page.addInitScript(() => {
-        // Override window.open to prevent popups
-        window.open = () => null;
-        
-        // Override various popup methods
-        window.showModalDialog = () => null;
-        window.alert = () => {};
-        window.confirm = () => true;
-        window.prompt = () => null;
-        
-        // Prevent focus stealing
-        window.focus = () => {};
-        
-        // Block common popup triggers
-        ['beforeunload', 'unload'].forEach(event => {
-          window.addEventListener(event, (e) => {
-            e.preventDefault();
-            e.returnValue = '';
-          });
-        });
-      });
-
-      console.log(`🔄 Navigating to ${url}...`);
-      await page.goto(url, { 
-        waitUntil: 'domcontentloaded',
-        timeout: 60000 
-      });
-      console.log('✅ Page loaded');
-
-      // Wait for any remaining JavaScript to execute
-      await page.waitForTimeout(2000);
-
-      const downloadButtonSelector = 'input[type="submit"][id="btn_download"][value="Download File"]';
-      let downloadInitiated = false;
-      const maxRetries = 3; // Reduced for efficiency
-      let retryCount = 0;
-      const maxWaitTime = 120000; // 2 minutes total
-      const startTime = Date.now();
+    res.setHeader('Location', `/jobs/${job.id}`);
+    return res.status(202).json({
+      success: true,
+      message: duplicate ? 'This book is already being downloaded' : 'Download queued',
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`,
+      eventsUrl: `/jobs/${job.id}/events`
+    });
+  } catch (error) {
+    console.error('❌ Failed to queue download:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to queue download',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
 
-      while (!downloadInitiated && retryCount < maxRetries) {
-        retryCount++;
-        console.log(`🔄 Attempt ${retryCount} to download...`);
+// Status of a download job: status, attempts, errors and the resulting book
+app.get('/jobs/:id', (req, res) => {
+  const job = downloadJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `Unknown download job: ${req.params.id}`
+    });
+  }
+  res.json(job);
+});
 
-        try {
-          // Enhanced button detection with multiple selectors
-          let buttonFound = false;
-          let button;
-          
-          while (!buttonFound) {
-            const currentTime = Date.now();
-            if (currentTime - startTime > maxWaitTime) {
-              throw new Error('Maximum wait time exceeded (2 minutes)');
-            }
+// Follow a download job over Server-Sent Events: the current job, then its
+// progress and status changes, ending with the finished job
+app.get('/jobs/:id/events', (req, res) => {
+  const job = downloadJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `Unknown download job: ${req.params.id}`
+    });
+  }
 
-            console.log('🔍 Checking for download button...');
-            
-            // Try multiple selector approaches
-            const selectors = [
-              'input[type="submit"][id="btn_download"][value="Download File"]',
-              'input[id="btn_download"]',
-              '.to-lock input[type="submit"]',
-              'input[value*="Download"]'
-            ];
-
-            for (const selector of selectors) {
-              button = page.locator(selector);
-              const buttonCount = await button.count();
-              
-              if (buttonCount > 0) {
-                console.log(`✅ Found button with selector: ${selector}`);
-                
-                // Additional checks for button readiness
-                try {
-                  const isVisible = await button.isVisible();
-                  const isEnabled = await button.isEnabled();
-                  
-                  if (isVisible && isEnabled) {
-                    // Check if button is in the "to-lock" container (indicating it's ready)
-                    const parentDiv = button.locator('xpath=ancestor::div[@class="to-lock"]');
-                    const parentDivExists = await parentDiv.count() > 0;
-                    
-                    if (parentDivExists) {
-                      console.log('✅ Download button is ready and enabled!');
-                      buttonFound = true;
-                      break;
-                    } else {
-                      console.log('⏳ Button found but not in ready state...');
-                    }
-                  } else {
-                    console.log(`⏳ Button found but not ready (visible: ${isVisible}, enabled: ${isEnabled})`);
-                  }
-                } catch (checkError) {
-                  console.log(`⚠️ Error checking button state: ${checkError.message}`);
-                }
-              }
-            }
-            
-            if (!buttonFound) {
-              console.log('⏳ Download button not ready yet. Waiting 2 seconds...');
-              await page.waitForTimeout(2000);
-            }
-          }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.flushHeaders();
 
-          if (buttonFound && button) {
-            try {
-              // Enhanced download handling for headless mode
-              console.log('👂 Setting up download event listener...');
-              
-              // Set up download promise with longer timeout
-              const downloadPromise = page.waitForEvent('download', { timeout: 90000 });
-              
-              // Alternative: listen for download with a more robust approach
-              let downloadDetected = false;
-              const downloadBackupPromise = new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                  if (!downloadDetected) {
-                    reject(new Error('Download backup timeout'));
-                  }
-                }, 90000);
-                
-                page.on('download', (download) => {
-                  downloadDetected = true;
-                  clearTimeout(timeout);
-                  resolve(download);
-                });
-              });
-              
-              console.log('🖱️ Clicking download button...');
-              
-              // Try multiple click approaches for headless mode
-              try {
-                await button.click({ force: true, timeout: 10000 });
-              } catch (clickError) {
-                console.log('⚠️ Standard click failed, trying alternatives...');
-                
-                // Alternative click methods
-                try {
-                  await button.click({ button: 'left', clickCount: 1 });
-                } catch (altClickError) {
-                  console.log('⚠️ Alternative click failed, trying JavaScript click...');
-                  await page.evaluate((sel) => {
-                    const btn = document.querySelector(sel);
-                    if (btn) btn.click();
-                  }, downloadButtonSelector);
-                }
-              }
-              
-              console.log('⏳ Waiting for download to start...');
-              
-              // Use Promise.race with both download detection methods
-              const downloadResult = await Promise.race([
-                downloadPromise,
-                downloadBackupPromise,
-                new Promise((_, reject) => 
-                  setTimeout(() => reject(new Error('Download timeout - no download detected in 90 seconds')), 90000)
-                )
-              ]);
-              
-              const download = downloadResult;
-              console.log(`📥 Download started: ${download.suggestedFilename()}`);
-              
-              // Generate temp file path with better naming
-              const sanitizedFilename = download.suggestedFilename().replace(/[^a-zA-Z0-9.-]/g, '_');
-              tempFilePath = path.join(downloadPath, `temp_${Date.now()}_${sanitizedFilename}`);
-              
-              console.log(`💾 Saving download to: ${tempFilePath}`);
-              await download.saveAs(tempFilePath);
-              
-              // Wait a moment for file system to catch up
-              await page.waitForTimeout(1000);
-              
-              // Verify file exists and has content
-              if (fs.existsSync(tempFilePath)) {
-                const fileStats = await fs.promises.stat(tempFilePath);
-                console.log(`📊 Downloaded file size: ${fileStats.size} bytes`);
-                
-                if (fileStats.size > 0) {
-                  console.log('✅ File successfully downloaded. Uploading to Supabase...');
-
-                  // Prepare book metadata
-                  const bookMetadata = {
-                    title: title || download.suggestedFilename().replace(/\.[^/.]+$/, ""),
-                    author: author || 'Unknown Author',
-                    format: format || 'pdf',
-                    category: category || null,
-                    coverImageUrl: coverImageUrl || null,
-                    downloadUrl: url,
-                    bookUrl: url
-                  };
-
-                  // Upload to Supabase storage and insert into database
-                  const supabaseResult = await uploadToSupabaseStorage(
-                    tempFilePath, 
-                    download.suggestedFilename(),
-                    bookMetadata
-                  );
-
-                  console.log('✅ Book successfully uploaded to Supabase');
-                  downloadInitiated = true;
-
-                  // Return success response with book ID and S3 URL
-                  return res.status(200).json({
-                    success: true,
-                    message: 'Book downloaded and uploaded successfully',
-                    id: supabaseResult.id,
-                    s3_bucket_url: supabaseResult.s3_bucket_url
-                  });
-
-                } else {
-                  console.log('❌ Downloaded file is empty.');
-                  await fs.promises.unlink(tempFilePath);
-                  throw new Error('Downloaded file is empty');
-                }
-              } else {
-                console.log('❌ Download file was not created.');
-                throw new Error('Download file was not created');
-              }
-              
-            } catch (downloadError) {
-              console.error('❌ Error during download:', downloadError);
-              
-              // Clean up any partial file
-              if (tempFilePath && fs.existsSync(tempFilePath)) {
-                try {
-                  await fs.promises.unlink(tempFilePath);
-                } catch (cleanupError) {
-                  console.log('⚠️ Could not clean up partial file:', cleanupError.message);
-                }
-              }
-              
-              // Check if this is a retryable error
-              if (downloadError.message.includes('timeout') || 
-                  downloadError.message.includes('Download backup timeout') ||
-                  downloadError.message.includes('no download detected')) {
-                console.log('🔄 Download timeout detected, will retry...');
-                break; // Break inner loop to retry
-              }
-              throw downloadError;
-            }
-          }
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-          if (downloadInitiated) {
-            break;
-          }
+  sendEvent('job', job);
+  const unsubscribe = downloadJobs.subscribe(job.id, (event, data) => {
+    sendEvent(event, data);
+    if (event === 'done') finish();
+  });
 
-        } catch (error) {
-          console.error(`❌ Error during download attempt ${retryCount}:`, error);
-          
-          // Handle specific error types for retry logic
-          if (error.name === 'TimeoutError' || 
-              error.message.includes('timeout') || 
-              error.message.includes('Maximum wait time exceeded') ||
-              error.message.includes('no download detected') ||
-              error.message.includes('Download backup timeout')) {
-            
-            if (retryCount >= maxRetries) {
-              console.log('❌ Max retries reached. Could not download the file.');
-              throw new Error(`Download failed after ${maxRetries} attempts: ${error.message}`);
-            }
-            
-            console.log('🔄 Retrying after timeout/error...');
-            // Reload the page to reset state and try again
-            try {
-              await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
-              await page.waitForTimeout(3000); // Wait 3 seconds before next attempt
-            } catch (reloadError) {
-              console.log('⚠️ Page reload failed:', reloadError.message);
-              // If reload fails, try creating a new page
-              try {
-                await page.close();
-                const newPage = await context.newPage();
-                await newPage.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-                // Replace the old page reference with the new one
-                // Note: This requires careful handling in the outer scope
-              } catch (newPageError) {
-                console.log('⚠️ Could not create new page:', newPageError.message);
-                throw error; // Give up if we can't even reload
-              }
-            }
-          } else {
-            throw error; // Non-retryable error
-          }
-        }
-      }
+  // Keep the connection alive through proxies while the book downloads
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': heartbeat\n\n');
+  }, 15000);
 
-      if (!downloadInitiated) {
-        throw new Error('Download failed after all attempts');
-      }
+  function finish() {
+    clearInterval(heartbeat);
+    unsubscribe?.();
+    res.end();
+  }
 
-    } catch (error) {
-      console.error('❌ Download error:', error);
-      return res.status(500).json({
-        success: false,
-        error: 'Download failed',
-        message: error.message || 'An unexpected error occurred during download'
-      });
-    } finally {
-      try {
-        // Clean up temporary files
-        if (tempFilePath && fs.existsSync(tempFilePath)) {
-          await fs.promises.unlink(tempFilePath);
-          console.log('🧹 Temporary file cleaned up:', tempFilePath);
-        }
-      } catch (err) {
-        console.error('❌ Error cleaning up temporary file:', err);
-      }
+  // A job that has already finished only needs its final state
+  if (!unsubscribe) {
+    sendEvent('done', job);
+    return finish();
+  }
 
-      if (browser) {
-        console.log('🔒 Closing browser...');
-        await browser.close();
-      }
+  req.on('close', () => {
+    if (!res.writableEnded) {
+      console.log(`🔌 Job ${job.id} event stream closed by client`);
+      finish();
     }
-  } catch (error) {
-    console.error('❌ Fatal error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Fatal error',
-      message: error.message || 'An unexpected error occurred'
-    });
-  }
+  });
 });
 
 // Database cleanup and diagnostic endpoint
@@ -2740,8 +3231,11 @@ app.delete('/admin/database/cleanup/:bookId', async (req, res) => {
       return res.status(500).json({ error: 'Failed to delete book', details: deleteError.message });
     }
 
-    // Optionally, try to clean up the S3 file if it exists
-    if (book.s3_bucket_id) {
+    // Optionally, try to clean up the S3 file if it exists and no other book
+    // is linked to it
+    if (book.s3_bucket_id && await isStorageObjectShared(supabase, book.s3_bucket_id).catch(() => true)) {
+      console.log('🔗 S3 file is shared with another book, keeping it:', book.s3_bucket_id);
+    } else if (book.s3_bucket_id) {
       try {
         const { error: storageError } = await supabase.storage
           .from('books')
@@ -2802,6 +3296,8 @@ app.listen(PORT, '0.0.0.0', () => {
 function createCustomSupabaseClient(pgClient, apiKey) {
   console.log('🔧 Creating custom PostgreSQL-based Supabase client...');
   return {
+    // Raw connection for queries the query-builder shim can't express
+    pgClient,
     from: (table) => ({
       select: (columns = '*') => ({
         eq: (column, value) => ({
@@ -0,0 +1,117 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { chromium } from 'playwright';
+import { getSource, getEnabledSourceIds } from '../sources/index.js';
+import { FIXTURES_DIR } from '../test/helpers/fixture-server.js';
+
+// Record fresh HTML fixtures from the live sites
+//
+// Usage: npm run fixtures:record -- [source ...] [--query=<term>]
+//
+// Saves the first two search result pages and the first book's page for each
+// source, with links to the site rewritten to relative paths so the fixture
+// server can serve them. Fixtures are only overwritten when the current
+// scrapers still find books, so a broken selector doesn't wipe good snapshots.
+const args = process.argv.slice(2);
+const query = (args.find(arg => arg.startsWith('--query=')) || '--query=javascript').split('=')[1];
+const requestedIds = args.filter(arg => !arg.startsWith('--'));
+const sourceIds = requestedIds.length > 0 ? requestedIds : getEnabledSourceIds();
+
+// Make links to the site relative and return the request path of the page
+function toFixture(adapter, url, html) {
+  const { pathname, search } = new URL(url);
+  return {
+    route: `${pathname}${search}`,
+    html: html.split(adapter.baseUrl).join('')
+  };
+}
+
+async function recordSource(browser, adapter) {
+  const context = await browser.newContext({
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+  });
+
+  try {
+    const page = await context.newPage();
+    const files = {};
+    const routes = {};
+
+    const save = async (name, url) => {
+      const fixture = toFixture(adapter, url, await page.content());
+      files[name] = fixture.html;
+      routes[fixture.route] = name;
+      return fixture.route;
+    };
+
+    // Search result pages
+    const first = await adapter.search({ page, context, query, baseUrl: adapter.baseUrl, pageNumber: 1 });
+    if (first.books.length === 0) {
+      throw new Error('No books found on the first result page; selectors may be broken, keeping existing fixtures');
+    }
+    await save('search.html', page.url());
+
+    let pages = 1;
+    let lastPageIncluded = !first.hasMore;
+    if (first.hasMore) {
+      const second = await adapter.search({ page, context, query, baseUrl: adapter.baseUrl, pageNumber: 2 });
+      if (second.books.length > 0) {
+        await save('search-page-2.html', page.url());
+        pages = 2;
+        lastPageIncluded = !second.hasMore;
+      }
+    }
+
+    // First book's page
+    const { downloadUrl } = await adapter.resolveDownloadUrl(page, first.books[0].bookUrl);
+    if (!downloadUrl) {
+      throw new Error(`No download URL found on ${first.books[0].bookUrl}; keeping existing fixtures`);
+    }
+    const book = await save('book.html', page.url());
+
+    const directory = path.join(FIXTURES_DIR, adapter.id);
+    await fs.mkdir(directory, { recursive: true });
+    for (const [name, html] of Object.entries(files)) {
+      await fs.writeFile(path.join(directory, name), html);
+    }
+    const manifest = {
+      source: adapter.id,
+      query,
+      recordedAt: new Date().toISOString(),
+      pages,
+      lastPageIncluded,
+      routes,
+      book
+    };
+    await fs.writeFile(path.join(directory, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+
+    console.log(`✅ Recorded ${Object.keys(files).length} fixtures for ${adapter.id}`);
+  } finally {
+    await context.close();
+  }
+}
+
+const browser = await chromium.launch({ headless: true });
+let failed = false;
+
+try {
+  for (const sourceId of sourceIds) {
+    const adapter = getSource(sourceId);
+    if (!adapter) {
+      console.error(`❌ Unknown or disabled source: ${sourceId}`);
+      failed = true;
+      continue;
+    }
+
+    try {
+      console.log(`🎬 Recording ${sourceId} fixtures for "${query}"...`);
+      await recordSource(browser, adapter);
+    } catch (error) {
+      console.error(`❌ Failed to record ${sourceId}:`, error.message);
+      failed = true;
+    }
+  }
+} finally {
+  await browser.close();
+}
+
+process.exit(failed ? 1 : 0);
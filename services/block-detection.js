@@ -0,0 +1,72 @@
+// Block-page detection
+//
+// Sources that block us rarely say so with a status code: Cloudflare serves
+// its challenge with a 403 or 503, login walls and maintenance pages come back
+// as 200. classifyPage() looks at what a loaded page contains and returns
+// { code, reason } (see source-errors.js) for pages that aren't the content
+// we asked for, or null for a normal page.
+const CHALLENGE_TITLE = /just a moment|attention required|checking your browser|ddos-guard|security check|verify you are human/i;
+const MAINTENANCE_TEXT = /down for maintenance|under maintenance|scheduled maintenance|temporarily unavailable|we['’]ll be back soon|site is currently offline/i;
+const LOGIN_TEXT = /\b(log ?in|sign ?in)\b/i;
+
+// Maintenance pages are short; longer pages only count when the title says so
+const MAINTENANCE_MAX_TEXT = 3000;
+
+// What classifyPage() needs to know about a page (self-contained, runs in the page)
+function collectSignals(args, doc = document) {
+  return {
+    title: doc.title || '',
+    text: (doc.body?.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 20000),
+    challengeForm: !!doc.querySelector('#challenge-form, #challenge-stage, #cf-challenge-running, .cf-browser-verification, [id^="cf-chl"]'),
+    captcha: !!doc.querySelector('iframe[src*="captcha"], iframe[src*="challenges.cloudflare.com"], .g-recaptcha, .h-captcha, .cf-turnstile'),
+    passwordField: !!doc.querySelector('input[type="password"]')
+  };
+}
+
+// Signals for a Playwright page or an HTTP page (see http-page.js)
+export async function readPageSignals(page) {
+  if (page.mode === 'http') {
+    return page.document ? collectSignals({}, page.document) : null;
+  }
+  return page.evaluate(collectSignals, {});
+}
+
+// `status` is the HTTP status of the page's main navigation, if known
+export function classifyPage(signals, { status = null } = {}) {
+  const { title = '', text = '' } = signals;
+
+  if (signals.challengeForm || CHALLENGE_TITLE.test(title)) {
+    return { code: 'SOURCE_BLOCKED', reason: 'challenge page' };
+  }
+  if (signals.captcha) {
+    return { code: 'SOURCE_BLOCKED', reason: 'captcha' };
+  }
+  if (signals.passwordField && (LOGIN_TEXT.test(title) || LOGIN_TEXT.test(text.slice(0, 2000)))) {
+    return { code: 'SOURCE_BLOCKED', reason: 'login wall' };
+  }
+  if (status === 429) {
+    return { code: 'SOURCE_THROTTLED', reason: 'HTTP 429' };
+  }
+  if (status === 401 || status === 403) {
+    return { code: 'SOURCE_BLOCKED', reason: `HTTP ${status}` };
+  }
+  if (status >= 500) {
+    return { code: 'SOURCE_DOWN', reason: `HTTP ${status}` };
+  }
+  if (MAINTENANCE_TEXT.test(title) || (text.length < MAINTENANCE_MAX_TEXT && MAINTENANCE_TEXT.test(text))) {
+    return { code: 'SOURCE_DOWN', reason: 'maintenance page' };
+  }
+  return null;
+}
+
+// Whether an empty listing page says it has no results, as opposed to a page
+// whose results the selectors no longer find
+export function saysNoResults(signals, noResultsText = []) {
+  const text = `${signals.title}\n${signals.text}`.toLowerCase();
+  return noResultsText.some(phrase => text.includes(phrase.toLowerCase()));
+}
+
+// Navigation failures (DNS, refused connections, timeouts) mean the source is down
+export function isNavigationFailure(error) {
+  return /net::ERR_|NS_ERROR_|page\.goto: Timeout|Navigation timeout|HTTP request to .* failed/i.test(error?.message || '');
+}
@@ -0,0 +1,146 @@
+import { REST_MAX_ROWS } from './library-search.js';
+
+// Content-hash deduplication of stored books
+//
+// Every stored file's SHA-256 is saved in `books.sha256`. A download whose
+// hash is already in the library gets its own `books` row (so its URL is
+// known next time) pointing at the existing storage object instead of a new
+// upload. Books downloaded before hashing, or uploaded twice by downloads that
+// ran at the same time, show up in the duplicates report.
+
+const SHA256 = /^[0-9a-f]{64}$/;
+
+// The oldest book stored with this file hash (null if there is none)
+export async function findBookByHash(supabase, sha256) {
+  if (!SHA256.test(sha256 || '')) return null;
+
+  if (supabase.pgClient) {
+    const rows = await supabase.pgClient.unsafe(`
+      SELECT id, title, s3_bucket_id, s3_bucket_url FROM books
+      WHERE sha256 = $1 AND s3_bucket_id IS NOT NULL
+      ORDER BY created_at
+      LIMIT 1
+    `, [sha256]);
+    return rows[0] || null;
+  }
+
+  const { data, error } = await supabase
+    .from('books')
+    .select('id, title, s3_bucket_id, s3_bucket_url')
+    .eq('sha256', sha256)
+    .not('s3_bucket_id', 'is', null)
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Book hash lookup failed: ${error.message}`);
+  }
+  return data?.[0] || null;
+}
+
+// Whether any book still points at a storage object (so it mustn't be removed)
+export async function isStorageObjectShared(supabase, s3BucketId) {
+  if (supabase.pgClient) {
+    const rows = await supabase.pgClient.unsafe('SELECT 1 FROM books WHERE s3_bucket_id = $1 LIMIT 1', [s3BucketId]);
+    return rows.length > 0;
+  }
+
+  const { data, error } = await supabase
+    .from('books')
+    .select('id')
+    .eq('s3_bucket_id', s3BucketId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Storage object lookup failed: ${error.message}`);
+  }
+  return (data || []).length > 0;
+}
+
+// Group books rows by hash, keeping hashes held by more than one book:
+// [{ sha256, count, storageObjects, fileSize, reclaimableBytes, books }],
+// biggest groups first. The oldest book comes first in each group.
+export function groupDuplicateBooks(rows) {
+  const byHash = new Map();
+  for (const row of rows) {
+    if (!row.sha256) continue;
+    if (!byHash.has(row.sha256)) byHash.set(row.sha256, []);
+    byHash.get(row.sha256).push(row);
+  }
+
+  return [...byHash.entries()]
+    .filter(([, books]) => books.length > 1)
+    .map(([sha256, books]) => {
+      books.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+      const storageObjects = new Set(books.map(book => book.s3_bucket_id).filter(Boolean)).size;
+      const fileSize = books.map(book => book.file_size).find(size => size != null);
+      return {
+        sha256,
+        count: books.length,
+        storageObjects,
+        fileSize: fileSize != null ? Number(fileSize) : null,
+        // Storage freed by pointing every book at one object
+        reclaimableBytes: fileSize != null ? Number(fileSize) * Math.max(storageObjects - 1, 0) : null,
+        books: books.map(book => ({
+          id: book.id,
+          title: book.title,
+          author: book.author,
+          format: book.format,
+          downloadUrl: book.download_url,
+          fileUrl: book.s3_bucket_url,
+          storageId: book.s3_bucket_id,
+          createdAt: book.created_at
+        }))
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.sha256.localeCompare(b.sha256));
+}
+
+const REPORT_COLUMNS = 'id, title, author, format, download_url, s3_bucket_id, s3_bucket_url, file_size, sha256, created_at';
+
+// Books that share a file: { groups, duplicateBooks, reclaimableBytes, unhashed }.
+// `duplicateBooks` counts the books beyond the first of each group and
+// `unhashed` the books stored before hashing, which can't be compared.
+export async function findDuplicateBooks(supabase) {
+  let rows;
+  let unhashed;
+  if (supabase.pgClient) {
+    rows = await supabase.pgClient.unsafe(`
+      SELECT ${REPORT_COLUMNS} FROM books
+      WHERE sha256 IN (
+        SELECT sha256 FROM books WHERE sha256 IS NOT NULL GROUP BY sha256 HAVING COUNT(*) > 1
+      )
+    `);
+    const [{ count }] = await supabase.pgClient.unsafe('SELECT COUNT(*)::int AS count FROM books WHERE sha256 IS NULL');
+    unhashed = count;
+  } else {
+    const { data, error } = await supabase
+      .from('books')
+      .select(REPORT_COLUMNS)
+      .not('sha256', 'is', null)
+      .limit(REST_MAX_ROWS);
+
+    if (error) {
+      throw new Error(`Library duplicates lookup failed: ${error.message}`);
+    }
+    rows = data || [];
+
+    const { count, error: countError } = await supabase
+      .from('books')
+      .select('id', { count: 'exact', head: true })
+      .is('sha256', null);
+
+    if (countError) {
+      throw new Error(`Library duplicates lookup failed: ${countError.message}`);
+    }
+    unhashed = count || 0;
+  }
+
+  const groups = groupDuplicateBooks(rows);
+  return {
+    groups,
+    duplicateBooks: groups.reduce((total, group) => total + group.count - 1, 0),
+    reclaimableBytes: groups.reduce((total, group) => total + (group.reclaimableBytes || 0), 0),
+    unhashed
+  };
+}
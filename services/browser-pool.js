@@ -0,0 +1,248 @@
+import { chromium } from 'playwright';
+
+// Shared Playwright browser pool
+//
+// Keeps a small set of long-lived Chromium instances and hands out a fresh
+// browser context per lease. Leases beyond maxConcurrency wait in a FIFO
+// queue; browsers are recycled after maxUses leases or when they crash.
+export function createBrowserPool({
+  name,
+  launchOptions = {},
+  size = 1,
+  maxConcurrency = 3,
+  maxUses = 50,
+  queueTimeout = 60000,
+  maxQueue = 50
+}) {
+  const entries = [];
+  const waiters = [];
+  let nextId = 1;
+  let activeLeases = 0;
+  let closed = false;
+
+  const stats = {
+    leases: 0,
+    launches: 0,
+    launchFailures: 0,
+    recycled: 0,
+    crashes: 0,
+    queueTimeouts: 0,
+    queueRejections: 0,
+    maxWaitMs: 0,
+    totalWaitMs: 0
+  };
+
+  // Wait for a free concurrency slot
+  function acquireSlot() {
+    if (closed) {
+      return Promise.reject(new Error(`Browser pool "${name}" is closed`));
+    }
+
+    if (activeLeases < maxConcurrency) {
+      activeLeases++;
+      return Promise.resolve();
+    }
+
+    if (waiters.length >= maxQueue) {
+      stats.queueRejections++;
+      return Promise.reject(new Error(`Browser pool "${name}" queue is full (${maxQueue} waiting)`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        const index = waiters.indexOf(waiter);
+        if (index !== -1) waiters.splice(index, 1);
+        stats.queueTimeouts++;
+        reject(new Error(`Timed out after ${queueTimeout}ms waiting for a browser from pool "${name}"`));
+      }, queueTimeout);
+      waiters.push(waiter);
+    });
+  }
+
+  // Hand the slot to the next waiter, or free it
+  function releaseSlot() {
+    const waiter = waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    } else {
+      activeLeases--;
+    }
+  }
+
+  function removeEntry(entry) {
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+  }
+
+  // Launch a new browser and track it in the pool
+  function launchEntry() {
+    const entry = {
+      id: nextId++,
+      browser: null,
+      uses: 0,
+      active: 0,
+      retiring: false,
+      launchedAt: new Date().toISOString()
+    };
+
+    entry.ready = chromium.launch(launchOptions)
+      .then((browser) => {
+        entry.browser = browser;
+        stats.launches++;
+        console.log(`🌐 [BrowserPool:${name}] Browser #${entry.id} launched`);
+
+        browser.on('disconnected', () => {
+          if (!entry.retiring) {
+            stats.crashes++;
+            console.error(`💥 [BrowserPool:${name}] Browser #${entry.id} disconnected unexpectedly`);
+          }
+          removeEntry(entry);
+        });
+
+        return browser;
+      })
+      .catch((error) => {
+        stats.launchFailures++;
+        removeEntry(entry);
+        throw error;
+      });
+
+    entries.push(entry);
+    return entry;
+  }
+
+  // Close a browser once it has no active leases
+  async function retireEntry(entry) {
+    entry.retiring = true;
+    if (entry.active > 0) return;
+
+    removeEntry(entry);
+    stats.recycled++;
+    console.log(`♻️ [BrowserPool:${name}] Recycling browser #${entry.id} after ${entry.uses} uses`);
+
+    try {
+      if (entry.browser) await entry.browser.close();
+    } catch (error) {
+      console.log(`⚠️ [BrowserPool:${name}] Error closing browser #${entry.id}: ${error.message}`);
+    }
+  }
+
+  // Pick the least busy healthy browser, launching one if below pool size
+  async function getEntry() {
+    const healthy = entries.filter(entry =>
+      !entry.retiring && (!entry.browser || entry.browser.isConnected())
+    );
+
+    const entry = healthy.length < size
+      ? launchEntry()
+      : healthy.reduce((best, candidate) => candidate.active < best.active ? candidate : best);
+
+    await entry.ready;
+    return entry;
+  }
+
+  // Lease a fresh browser context; callers must call release() when done
+  async function acquire(contextOptions = {}) {
+    const waitStart = Date.now();
+    await acquireSlot();
+
+    const waitMs = Date.now() - waitStart;
+    stats.totalWaitMs += waitMs;
+    stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+
+    let entry;
+    try {
+      entry = await getEntry();
+      entry.active++;
+      entry.uses++;
+      stats.leases++;
+
+      const context = await entry.browser.newContext(contextOptions);
+      let released = false;
+
+      return {
+        browser: entry.browser,
+        context,
+        async release() {
+          if (released) return;
+          released = true;
+
+          try {
+            await context.close();
+          } catch (error) {
+            console.log(`⚠️ [BrowserPool:${name}] Error closing context: ${error.message}`);
+          }
+
+          entry.active--;
+          if (entry.retiring || entry.uses >= maxUses || !entry.browser.isConnected()) {
+            await retireEntry(entry);
+          }
+          releaseSlot();
+        }
+      };
+    } catch (error) {
+      if (entry) {
+        entry.active--;
+        if (!entry.browser?.isConnected()) await retireEntry(entry);
+      }
+      releaseSlot();
+      throw error;
+    }
+  }
+
+  // Run fn(context, browser) with a leased context, always releasing it
+  async function withContext(contextOptions, fn) {
+    const lease = await acquire(contextOptions);
+    try {
+      return await fn(lease.context, lease.browser);
+    } finally {
+      await lease.release();
+    }
+  }
+
+  function getStats() {
+    return {
+      name,
+      size,
+      maxConcurrency,
+      maxUses,
+      browsers: entries.map(entry => ({
+        id: entry.id,
+        connected: entry.browser ? entry.browser.isConnected() : false,
+        uses: entry.uses,
+        active: entry.active,
+        retiring: entry.retiring,
+        launchedAt: entry.launchedAt
+      })),
+      activeLeases,
+      queued: waiters.length,
+      ...stats,
+      averageWaitMs: stats.leases > 0 ? Math.round(stats.totalWaitMs / stats.leases) : 0
+    };
+  }
+
+  // Close every browser and reject anything still queued
+  async function close() {
+    closed = true;
+
+    while (waiters.length > 0) {
+      const waiter = waiters.shift();
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error(`Browser pool "${name}" is closed`));
+    }
+
+    await Promise.all(entries.slice().map(async (entry) => {
+      entry.retiring = true;
+      try {
+        const browser = await entry.ready;
+        await browser.close();
+      } catch (error) {
+        // Already gone
+      }
+    }));
+  }
+
+  return { acquire, withContext, getStats, close };
+}
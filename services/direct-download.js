@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Direct HTTP downloads
+//
+// Links that serve the file itself (S3 objects, libgen mirrors, Anna's Archive
+// fast links) are fetched over plain HTTP instead of through Chromium.
+// probeDownload() requests the URL, following redirects, and reads only the
+// response headers: an attachment Content-Disposition, or a Content-Type that
+// isn't a web page, means a file. Anything else (interstitial pages with a
+// download button, error pages) returns null and is left to the browser flow.
+const PAGE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'application/json'];
+
+const EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'application/epub+zip': 'epub',
+  'application/x-mobipocket-ebook': 'mobi',
+  'application/vnd.amazon.ebook': 'azw3',
+  'application/x-fictionbook+xml': 'fb2',
+  'image/vnd.djvu': 'djvu',
+  'application/vnd.comicbook+zip': 'cbz',
+  'application/vnd.comicbook-rar': 'cbr',
+  'application/zip': 'zip',
+  'text/plain': 'txt'
+};
+
+// Filename from a Content-Disposition header (RFC 6266), or null
+export function parseContentDisposition(header) {
+  if (!header) return null;
+
+  const encoded = header.match(/filename\*\s*=\s*(?:[\w-]+)?'[^']*'([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim());
+    } catch {
+      // Fall back to the plain filename parameter
+    }
+  }
+
+  const plain = header.match(/filename\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]+))/i);
+  if (!plain) return null;
+  return (plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2]).trim() || null;
+}
+
+// Whether a response is a file rather than a page
+export function isFileResponse(headers) {
+  const disposition = headers.get('content-disposition') || '';
+  if (/^\s*attachment/i.test(disposition) || parseContentDisposition(disposition)) return true;
+
+  const contentType = (headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  return !PAGE_CONTENT_TYPES.includes(contentType);
+}
+
+// Name for the downloaded file: the Content-Disposition filename, else the last
+// segment of the final URL, with an extension from the Content-Type if it has none
+function downloadFilename(headers, finalUrl, contentType) {
+  let filename = parseContentDisposition(headers.get('content-disposition'));
+  if (!filename) {
+    try {
+      filename = decodeURIComponent(path.posix.basename(new URL(finalUrl).pathname));
+    } catch {
+      filename = null;
+    }
+  }
+  filename = path.basename(filename || 'download');
+
+  const extension = EXTENSIONS[contentType];
+  return extension && !path.extname(filename) ? `${filename}.${extension}` : filename;
+}
+
+// Length of a response body from its headers, or null when it isn't known.
+// fetch() decodes compressed bodies, so only a plain body's length is known.
+export function bodyLength(headers) {
+  const length = parseInt(headers.get('content-length'), 10);
+  return Number.isFinite(length) && !headers.get('content-encoding') ? length : null;
+}
+
+function fileTooLarge(size, maxBytes) {
+  const error = new Error(`File is larger than the ${Math.round(maxBytes / 1024 / 1024)} MB download limit (${size} bytes)`);
+  error.code = 'FILE_TOO_LARGE';
+  error.retryable = false;
+  return error;
+}
+
+// Request a URL and keep the response if it's a file:
+// { response, filename, contentType, size, finalUrl, abort }, or null for a page
+// or a failed request. `size` is null when the server doesn't send a length.
+export async function probeDownload(url, { userAgent, referer, timeout = 30000 } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`timed out after ${timeout}ms`)), timeout);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: {
+        ...(userAgent && { 'User-Agent': userAgent }),
+        ...(referer && { 'Referer': referer }),
+        'Accept': '*/*'
+      },
+      redirect: 'follow',
+      signal: controller.signal
+    });
+  } catch (error) {
+    console.log(`⚠️ Direct download probe failed for ${url}: ${controller.signal.aborted ? controller.signal.reason.message : error.cause?.code || error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok || !response.body || !isFileResponse(response.headers)) {
+    await response.body?.cancel().catch(() => {});
+    return null;
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  return {
+    response,
+    filename: downloadFilename(response.headers, response.url || url, contentType),
+    contentType: contentType || null,
+    size: bodyLength(response.headers),
+    finalUrl: response.url || url,
+    abort: reason => controller.abort(reason)
+  };
+}
+
+// Stream a probed download to disk: { bytes }. Fails with FILE_TOO_LARGE past
+// maxBytes, and when no data arrives for `idleTimeout` ms. onProgress gets
+// { bytes, totalBytes, percent } at most every 500ms and once at the end.
+export async function saveDownload(download, filePath, { maxBytes, idleTimeout = 30000, onProgress = () => {} } = {}) {
+  const { response, size } = download;
+  if (maxBytes && size && size > maxBytes) {
+    download.abort(fileTooLarge(size, maxBytes));
+    throw fileTooLarge(size, maxBytes);
+  }
+
+  let bytes = 0;
+  let lastReport = 0;
+  const report = () => onProgress({
+    bytes,
+    totalBytes: size,
+    percent: size ? Math.min(100, Math.floor((bytes / size) * 100)) : null
+  });
+
+  let idleTimer;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => download.abort(new Error(`no data received for ${idleTimeout}ms`)), idleTimeout);
+  };
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (maxBytes && bytes > maxBytes) {
+        callback(fileTooLarge(bytes, maxBytes));
+        return;
+      }
+      resetIdleTimer();
+      if (Date.now() - lastReport >= 500) {
+        lastReport = Date.now();
+        report();
+      }
+      callback(null, chunk);
+    }
+  });
+
+  resetIdleTimer();
+  try {
+    await pipeline(Readable.fromWeb(response.body), counter, fs.createWriteStream(filePath));
+  } catch (error) {
+    download.abort(error);
+    await fs.promises.rm(filePath, { force: true });
+    if (error.code === 'FILE_TOO_LARGE') throw error;
+    throw new Error(`Direct download failed after ${bytes} bytes: ${error.cause?.message || error.message}`);
+  } finally {
+    clearTimeout(idleTimer);
+  }
+
+  onProgress({ bytes, totalBytes: bytes, percent: 100 });
+  return { bytes };
+}
@@ -0,0 +1,26 @@
+// Typed download errors
+//
+// Errors raised by download strategies (see downloads/index.js) carry a `code`
+// and `retryable: false` when another attempt can't help, which fails the
+// download job straight away:
+//   UNSUPPORTED_HOST        no strategy can download from this URL
+//   DOWNLOAD_LINK_NOT_FOUND the host's page had no link to the file
+//   DOWNLOAD_AUTH_REQUIRED  the host needs credentials we don't have
+//   INVALID_FILE            the file isn't a book, or is damaged (see file-validation.js)
+// Direct downloads add FILE_TOO_LARGE (see direct-download.js).
+export const DOWNLOAD_ERRORS = {
+  UNSUPPORTED_HOST: { retryable: false },
+  DOWNLOAD_LINK_NOT_FOUND: { retryable: true },
+  DOWNLOAD_AUTH_REQUIRED: { retryable: false },
+  // Often a challenge page or a cut-off transfer, which another attempt can get past
+  INVALID_FILE: { retryable: true }
+};
+
+export function downloadError(code, url, reason) {
+  const error = new Error(`Cannot download ${url}: ${reason}`);
+  error.code = code;
+  error.url = url;
+  error.reason = reason;
+  error.retryable = DOWNLOAD_ERRORS[code].retryable;
+  return error;
+}
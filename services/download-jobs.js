@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Download job queue
+//
+// POST /books/download enqueues a job instead of holding the request open
+// while the book is fetched and uploaded. A job runs worker(request, job) up
+// to maxAttempts times, waiting retryDelayMs (doubling) between attempts; an
+// error with `retryable: false` fails it straight away. Its status goes
+// queued -> running -> completed | failed, with every attempt's error kept.
+//
+// The worker reports what it is doing through onProgress({ phase, percent,
+// ... }); the latest report is kept as `job.progress`. subscribe(id, listener)
+// follows one job: listener(event, data) gets 'progress' reports, 'status'
+// changes and a final 'done' with the whole job, completed or failed.
+//
+// Jobs are written through to a store (a JSON file, or Postgres) so they
+// survive a restart: start() loads them and queues again the jobs that were
+// queued or running when the server stopped. Finished jobs are dropped from
+// the store after `retentionMs`.
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Jobs in a JSON file, rewritten (atomically) on every change
+export function createFileJobStore(filePath) {
+  let writing = Promise.resolve();
+  const jobs = new Map();
+
+  function flush() {
+    const snapshot = JSON.stringify([...jobs.values()]);
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, snapshot);
+      await fs.promises.rename(tempPath, filePath);
+    });
+    return writing;
+  }
+
+  return {
+    type: 'file',
+    async loadAll() {
+      try {
+        const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        saved.forEach(job => jobs.set(job.id, job));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      return [...jobs.values()];
+    },
+    save(job) {
+      jobs.set(job.id, job);
+      return flush();
+    },
+    delete(ids) {
+      ids.forEach(id => jobs.delete(id));
+      return flush();
+    }
+  };
+}
+
+export function createPostgresJobStore(pgClient, { table = 'download_jobs' } = {}) {
+  let ready = null;
+
+  // Create the jobs table on first use
+  function ensureTable() {
+    if (!ready) {
+      ready = pgClient.unsafe(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          id UUID PRIMARY KEY,
+          status TEXT NOT NULL,
+          payload JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `).catch((error) => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  }
+
+  return {
+    type: 'postgres',
+    async loadAll() {
+      await ensureTable();
+      const rows = await pgClient.unsafe(`SELECT payload FROM ${table}`);
+      return rows.map(row => row.payload);
+    },
+    async save(job) {
+      await ensureTable();
+      await pgClient.unsafe(
+        `INSERT INTO ${table} (id, status, payload, updated_at) VALUES ($1, $2, $3::text::jsonb, $4)
+         ON CONFLICT (id) DO UPDATE SET status = EXCLUDED.status, payload = EXCLUDED.payload, updated_at = EXCLUDED.updated_at`,
+        [job.id, job.status, JSON.stringify(job), job.updatedAt]
+      );
+    },
+    async delete(ids) {
+      if (ids.length === 0) return;
+      await ensureTable();
+      await pgClient.unsafe(`DELETE FROM ${table} WHERE id = ANY($1::uuid[])`, [ids]);
+    }
+  };
+}
+
+export function createDownloadJobQueue({
+  store,
+  worker,
+  concurrency = 2,
+  maxAttempts = 3,
+  retryDelayMs = 30000,
+  retentionMs = 7 * 24 * 60 * 60 * 1000
+}) {
+  const jobs = new Map();
+  const waiting = [];
+  const listeners = new Map();
+  const stats = { enqueued: 0, completed: 0, failed: 0, retries: 0, storeErrors: 0 };
+  let active = 0;
+
+  function save(job) {
+    job.updatedAt = new Date().toISOString();
+    return Promise.resolve(store.save(job)).catch((error) => {
+      stats.storeErrors++;
+      console.error(`❌ [DownloadJobs] Failed to save job ${job.id}:`, error.message);
+    });
+  }
+
+  function emit(job, event, data) {
+    for (const listener of listeners.get(job.id) || []) {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error(`❌ [DownloadJobs] Job ${job.id} listener failed:`, error.message);
+      }
+    }
+  }
+
+  function statusEvent(job) {
+    const lastError = job.errors[job.errors.length - 1];
+    return {
+      id: job.id,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextAttemptAt: job.nextAttemptAt,
+      ...(lastError && { lastError: lastError.message })
+    };
+  }
+
+  function schedule(job) {
+    const delay = job.nextAttemptAt ? new Date(job.nextAttemptAt).getTime() - Date.now() : 0;
+    if (delay > 0) {
+      setTimeout(() => {
+        waiting.push(job.id);
+        pump();
+      }, delay);
+    } else {
+      waiting.push(job.id);
+      pump();
+    }
+  }
+
+  function pump() {
+    while (active < concurrency && waiting.length > 0) {
+      const job = jobs.get(waiting.shift());
+      if (job && job.status === 'queued') run(job);
+    }
+  }
+
+  async function run(job) {
+    active++;
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.nextAttemptAt = null;
+    job.progress = null;
+    await save(job);
+    emit(job, 'status', statusEvent(job));
+    console.log(`⚙️ [DownloadJobs] Job ${job.id} attempt ${job.attempts}/${job.maxAttempts}: ${job.request.url}`);
+
+    const onProgress = (progress) => {
+      if (job.status !== 'running') return;
+      job.progress = { ...progress, percent: progress.percent ?? null, at: new Date().toISOString() };
+      emit(job, 'progress', { id: job.id, attempt: job.attempts, ...job.progress });
+    };
+
+    try {
+      job.result = await worker(job.request, { job, onProgress });
+      job.status = 'completed';
+      job.finishedAt = new Date().toISOString();
+      stats.completed++;
+      console.log(`✅ [DownloadJobs] Job ${job.id} completed`);
+    } catch (error) {
+      job.errors.push({
+        attempt: job.attempts,
+        message: error.message || String(error),
+        ...(error.code && { code: error.code }),
+        at: new Date().toISOString()
+      });
+      if (error.retryable !== false && job.attempts < job.maxAttempts) {
+        const delay = retryDelayMs * 2 ** (job.attempts - 1);
+        job.status = 'queued';
+        job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        stats.retries++;
+        console.log(`🔄 [DownloadJobs] Job ${job.id} failed (${error.message}), retrying in ${Math.ceil(delay / 1000)}s`);
+      } else {
+        job.status = 'failed';
+        job.finishedAt = new Date().toISOString();
+        stats.failed++;
+        console.error(`❌ [DownloadJobs] Job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+      }
+    } finally {
+      active--;
+    }
+
+    await save(job);
+    emit(job, 'status', statusEvent(job));
+    if (job.status === 'queued') {
+      schedule(job);
+    } else {
+      emit(job, 'done', job);
+      listeners.delete(job.id);
+      prune();
+    }
+    pump();
+  }
+
+  // Drop finished jobs older than retentionMs
+  async function prune() {
+    const now = Date.now();
+    const expired = [...jobs.values()]
+      .filter(job => ['completed', 'failed'].includes(job.status))
+      .filter(job => now - new Date(job.finishedAt || job.updatedAt).getTime() > retentionMs)
+      .map(job => job.id);
+    if (expired.length === 0) return 0;
+
+    expired.forEach(id => jobs.delete(id));
+    try {
+      await store.delete(expired);
+    } catch (error) {
+      stats.storeErrors++;
+      console.error('❌ [DownloadJobs] Failed to drop old jobs:', error.message);
+    }
+    return expired.length;
+  }
+
+  // Queue a download: { job, duplicate }. A URL already queued or running
+  // returns the existing job.
+  async function enqueue(request) {
+    const existing = [...jobs.values()].find(job =>
+      job.request.url === request.url && ['queued', 'running'].includes(job.status)
+    );
+    if (existing) return { job: existing, duplicate: true };
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      request,
+      attempts: 0,
+      maxAttempts,
+      errors: [],
+      result: null,
+      progress: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      nextAttemptAt: null
+    };
+    jobs.set(job.id, job);
+    stats.enqueued++;
+    await save(job);
+    schedule(job);
+    return { job, duplicate: false };
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // Follow a job's events until it finishes: returns an unsubscribe function,
+  // or null for an unknown or finished job
+  function subscribe(id, listener) {
+    const job = jobs.get(id);
+    if (!job || ['completed', 'failed'].includes(job.status)) return null;
+
+    if (!listeners.has(id)) listeners.set(id, new Set());
+    listeners.get(id).add(listener);
+    return () => {
+      listeners.get(id)?.delete(listener);
+      if (listeners.get(id)?.size === 0) listeners.delete(id);
+    };
+  }
+
+  // Load saved jobs, resuming the unfinished ones and dropping old finished ones
+  async function start() {
+    const saved = await store.loadAll();
+    let resumed = 0;
+
+    for (const job of saved) {
+      jobs.set(job.id, job);
+      if (['completed', 'failed'].includes(job.status)) continue;
+
+      // A job that was running when the server stopped lost that attempt
+      if (job.status === 'running') {
+        job.errors.push({ attempt: job.attempts, message: 'Interrupted by a server restart', at: new Date().toISOString() });
+        job.status = job.attempts < job.maxAttempts ? 'queued' : 'failed';
+        job.progress = null;
+        if (job.status === 'failed') job.finishedAt = new Date().toISOString();
+        await save(job);
+      }
+      if (job.status === 'queued') {
+        schedule(job);
+        resumed++;
+      }
+    }
+
+    const dropped = await prune();
+    console.log(`📋 [DownloadJobs] Loaded ${saved.length} job(s) from ${store.type} store, resumed ${resumed}, dropped ${dropped}`);
+  }
+
+  function getStats() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    for (const job of jobs.values()) counts[job.status]++;
+    return { store: store.type, concurrency, maxAttempts, active, ...counts, ...stats };
+  }
+
+  return { enqueue, get, subscribe, start, getStats };
+}
@@ -0,0 +1,179 @@
+import { SOURCE_ERRORS } from './source-errors.js';
+
+// Federated search across several book sources
+//
+// Each source runs in parallel with its own timeout so one slow or failing
+// site doesn't sink the whole response. Results are interleaved by rank and
+// duplicates (same title/author/format) are merged into a single book.
+
+// Lowercase, strip accents/punctuation and collapse whitespace
+export function normalizeText(value) {
+  return (value || '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function normalizeAuthor(author) {
+  const normalized = normalizeText(author);
+  return ['unknown', 'unknown author', 'anonymous'].includes(normalized) ? '' : normalized;
+}
+
+// Incrementally merge books that share title/author/format; an unknown
+// author matches any author. add() returns { book, merged } where `book` is
+// the (possibly pre-existing) merged entry.
+export function createBookMerger() {
+  const groups = new Map();
+  const books = [];
+
+  function add(book) {
+    const titleKey = `${normalizeText(book.title)}|${normalizeText(book.format)}`;
+    const author = normalizeAuthor(book.author);
+    const candidates = groups.get(titleKey) || [];
+    const existing = candidates.find(candidate =>
+      !candidate.author || !author || candidate.author === author
+    );
+
+    if (!existing) {
+      const entry = {
+        author,
+        book: {
+          ...book,
+          sources: [book.source],
+          alternates: []
+        }
+      };
+      candidates.push(entry);
+      groups.set(titleKey, candidates);
+      books.push(entry.book);
+      return { book: entry.book, merged: false };
+    }
+
+    const target = existing.book;
+    if (!existing.author && author) {
+      existing.author = author;
+      target.author = book.author;
+    }
+
+    // Fill gaps from the duplicate
+    for (const field of ['coverImageUrl', 'date', 'category', 'downloadUrl']) {
+      if (!target[field] && book[field]) target[field] = book[field];
+    }
+
+    if (!target.sources.includes(book.source)) target.sources.push(book.source);
+    target.alternates.push({
+      source: book.source,
+      bookUrl: book.bookUrl,
+      downloadUrl: book.downloadUrl || '',
+      token: book.token
+    });
+
+    return { book: target, merged: true };
+  }
+
+  return { add, books };
+}
+
+// Merge duplicate books in one go
+export function dedupeBooks(books) {
+  const merger = createBookMerger();
+  books.forEach(book => merger.add(book));
+  return merger.books;
+}
+
+// Round-robin by rank so every source is represented near the top
+function interleave(lists) {
+  const result = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let index = 0; index < longest; index++) {
+    for (const list of lists) {
+      if (index < list.length) result.push(list[index]);
+    }
+  }
+  return result;
+}
+
+// Run searchFn(sourceId) for every source with a per-source timeout.
+// searchFn resolves to { books, total, totalIsEstimate, hasMore, mirror, filters, sortedBySource, cacheStatus, cacheAge, cacheMaxAge }.
+// onSourceComplete(status) fires as each source finishes.
+export async function searchAcrossSources(sourceIds, searchFn, { timeout = 45000, onSourceComplete } = {}) {
+  async function runSource(sourceId) {
+    const startTime = Date.now();
+    let timer;
+
+    try {
+      const result = await Promise.race([
+        searchFn(sourceId),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            const error = new Error(`Source timed out after ${timeout}ms`);
+            error.code = 'SOURCE_TIMEOUT';
+            reject(error);
+          }, timeout);
+        })
+      ]);
+
+      return {
+        books: result.books,
+        status: {
+          id: sourceId,
+          status: 'ok',
+          count: result.books.length,
+          total: result.total ?? result.books.length,
+          totalIsEstimate: !!result.totalIsEstimate,
+          hasMore: !!result.hasMore,
+          mirror: result.mirror || null,
+          filters: result.filters,
+          sortedBySource: !!result.sortedBySource,
+          durationMs: Date.now() - startTime,
+          cache: result.cacheStatus || null,
+          cacheAge: result.cacheAge || 0,
+          cacheMaxAge: result.cacheMaxAge || 0
+        }
+      };
+    } catch (error) {
+      console.error(`❌ Federated search: ${sourceId} failed:`, error.message);
+      return {
+        books: [],
+        status: {
+          id: sourceId,
+          status: error.code === 'SOURCE_TIMEOUT' ? 'timeout' : SOURCE_ERRORS[error.code]?.status || 'error',
+          count: 0,
+          total: 0,
+          totalIsEstimate: false,
+          hasMore: false,
+          durationMs: Date.now() - startTime,
+          cache: null,
+          error: error.message,
+          ...(error.code && { code: error.code }),
+          ...(error.retryAfter && { retryAfter: error.retryAfter })
+        }
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  const outcomes = await Promise.all(sourceIds.map(sourceId => runSource(sourceId).then((outcome) => {
+    if (onSourceComplete) onSourceComplete(outcome.status);
+    return outcome;
+  })));
+
+  const combined = interleave(outcomes.map(outcome => outcome.books));
+  const books = dedupeBooks(combined);
+  const statuses = outcomes.map(outcome => outcome.status);
+
+  return {
+    books,
+    duplicatesMerged: combined.length - books.length,
+    // Upstream totals can't be deduplicated, so the merged total is an upper bound
+    total: statuses.reduce((sum, status) => sum + status.total, 0),
+    totalIsEstimate: statuses.some(status => status.totalIsEstimate) || (sourceIds.length > 1 && combined.length !== books.length),
+    hasMore: statuses.some(status => status.hasMore),
+    sources: statuses
+  };
+}
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+
+// Downloaded file validation
+//
+// A download is only stored if its bytes look like a book: the format is
+// sniffed from magic bytes (not the filename or Content-Type, which error and
+// captcha pages get wrong) and the file gets a basic structural check for its
+// format, e.g. a PDF ends with %%EOF and an EPUB zip has META-INF/container.xml
+// and an OPF package. The detected format is then reconciled with the claimed
+// one (the request's `format`, else the file extension):
+//   - an HTML page, a damaged file or an unrecognised one is rejected
+//   - another book format replaces the claim (a ".pdf" that is an EPUB is stored as epub)
+//   - formats the header can't tell apart (mobi/azw/azw3) keep the claim
+//   - plain text and bare archives are only accepted when that's what was claimed
+const HEAD_BYTES = 64 * 1024;
+const TAIL_BYTES = 64 * 1024 + 22; // Largest zip comment plus the end record
+
+export const BOOK_FORMATS = ['pdf', 'epub', 'mobi', 'azw', 'azw3', 'fb2', 'djvu', 'cbz', 'cbr', 'txt', 'rtf', 'doc', 'docx', 'lit', 'chm', 'zip', 'rar'];
+
+// Formats only accepted when claimed: they're as likely to be a wrong file as a book
+const CLAIM_ONLY_FORMATS = ['txt', 'zip', 'rar'];
+
+// Formats that share a container and can't be told apart by their header
+const FORMAT_FAMILIES = [['mobi', 'azw', 'azw3', 'prc'], ['cbz', 'zip'], ['cbr', 'rar'], ['djvu', 'djv']];
+
+const IMAGE_ENTRY = /\.(jpe?g|png|gif|webp|bmp)$/i;
+
+function sameFamily(a, b) {
+  return a === b || FORMAT_FAMILIES.some(family => family.includes(a) && family.includes(b));
+}
+
+async function readRange(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Entry names from a zip's central directory, or null if it can't be read
+async function readZipEntries(handle, size, tail) {
+  const endRecord = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endRecord < 0 || endRecord + 22 > tail.length) return null;
+
+  const directorySize = tail.readUInt32LE(endRecord + 12);
+  const directoryOffset = tail.readUInt32LE(endRecord + 16);
+  if (directoryOffset + directorySize > size) return null;
+
+  const directory = await readRange(handle, directoryOffset, directorySize);
+  const names = [];
+  let offset = 0;
+  while (offset + 46 <= directory.length && directory.readUInt32LE(offset) === 0x02014b50) {
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    names.push(directory.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return names;
+}
+
+function inspectZip(entries, head) {
+  if (!entries) return { format: 'zip', problem: 'the zip archive is damaged or truncated' };
+
+  // EPUB: an uncompressed "mimetype" entry first, or the OCF container
+  const nameLength = head.readUInt16LE(26);
+  const dataStart = 30 + nameLength + head.readUInt16LE(28);
+  const firstName = head.toString('latin1', 30, 30 + nameLength);
+  const mimetype = head.toString('latin1', dataStart, dataStart + 20);
+  if ((firstName === 'mimetype' && mimetype === 'application/epub+zip') || entries.includes('META-INF/container.xml')) {
+    if (!entries.includes('META-INF/container.xml')) return { format: 'epub', problem: 'the EPUB has no META-INF/container.xml' };
+    if (!entries.some(name => name.toLowerCase().endsWith('.opf'))) return { format: 'epub', problem: 'the EPUB has no OPF package document' };
+    return { format: 'epub' };
+  }
+
+  if (entries.includes('[Content_Types].xml')) {
+    return entries.includes('word/document.xml')
+      ? { format: 'docx' }
+      : { format: 'zip' };
+  }
+
+  const files = entries.filter(name => !name.endsWith('/'));
+  if (files.length > 0 && files.filter(name => IMAGE_ENTRY.test(name)).length >= files.length * 0.8) {
+    return { format: 'cbz' };
+  }
+  return { format: 'zip' };
+}
+
+// PalmDB container (MOBI/AZW): check the first record holds a MOBI header;
+// version 8 headers are KF8, i.e. AZW3
+function inspectMobi(head, size) {
+  const recordCount = head.readUInt16BE(76);
+  const firstRecord = head.length >= 82 ? head.readUInt32BE(78) : 0;
+  if (!recordCount || !firstRecord || firstRecord + 40 > size) {
+    return { format: 'mobi', problem: 'the MOBI file has no records' };
+  }
+  if (firstRecord + 40 > head.length) return { format: 'mobi' };
+  if (head.toString('latin1', firstRecord + 16, firstRecord + 20) !== 'MOBI') {
+    return { format: 'mobi', problem: 'the first MOBI record has no MOBI header' };
+  }
+  return { format: head.readUInt32BE(firstRecord + 36) === 8 ? 'azw3' : 'mobi' };
+}
+
+function looksLikeText(head) {
+  if (head.includes(0)) return false;
+  const text = head.toString('utf8');
+  const replaced = (text.match(/\uFFFD/g) || []).length;
+  return replaced <= text.length * 0.01;
+}
+
+// Sniff a file's format: { format, problem } (format null when unrecognised,
+// problem set when the structure check fails)
+export async function detectFileFormat(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const head = await readRange(handle, 0, Math.min(size, HEAD_BYTES));
+    const tail = size > HEAD_BYTES ? await readRange(handle, Math.max(0, size - TAIL_BYTES), Math.min(size, TAIL_BYTES)) : head;
+    const ascii = head.toString('latin1', 0, 1024);
+
+    // Some PDFs have junk before the header; readers accept it in the first 1KB
+    if (ascii.includes('%PDF-')) {
+      return tail.toString('latin1', Math.max(0, tail.length - 2048)).includes('%%EOF')
+        ? { format: 'pdf' }
+        : { format: 'pdf', problem: 'the PDF has no %%EOF marker (truncated?)' };
+    }
+    if (head.length >= 30 && head.readUInt32LE(0) === 0x04034b50) {
+      return inspectZip(await readZipEntries(handle, size, tail), head);
+    }
+    if (head.length >= 78 && head.toString('latin1', 60, 68) === 'BOOKMOBI') return inspectMobi(head, size);
+    if (ascii.startsWith('AT&TFORM') && ['DJVU', 'DJVM'].includes(ascii.slice(12, 16))) return { format: 'djvu' };
+    if (ascii.startsWith('Rar!\x1a\x07')) return { format: 'rar' };
+    if (ascii.startsWith('{\\rtf')) return { format: 'rtf' };
+    if (ascii.startsWith('ITOLITLS')) return { format: 'lit' };
+    if (ascii.startsWith('ITSF')) return { format: 'chm' };
+    if (head.length >= 8 && head.readUInt32BE(0) === 0xd0cf11e0 && head.readUInt32BE(4) === 0xa1b11ae1) return { format: 'doc' };
+
+    if (looksLikeText(head)) {
+      const start = head.toString('utf8', 0, 4096).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+      if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<fictionbook/.test(start)) {
+        return /<\/fictionbook>\s*$/i.test(tail.toString('utf8').trimEnd())
+          ? { format: 'fb2' }
+          : { format: 'fb2', problem: 'the FB2 document is not closed (truncated?)' };
+      }
+      if (/^(<!doctype html|<html|<head|<body|<script|<meta|<title)/.test(start) || /<html[\s>]/.test(start)) {
+        return { format: 'html' };
+      }
+      return { format: 'txt' };
+    }
+
+    return { format: null };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Check a downloaded file against the format it was claimed to be:
+// { valid, format, claimedFormat, detectedFormat, corrected, reason }.
+// `format` is what to store the book as; `reason` says why an invalid file
+// was rejected.
+export async function validateBookFile(filePath, { claimedFormat } = {}) {
+  const claimed = (claimedFormat || path.extname(filePath).slice(1) || '').toLowerCase() || null;
+  const { format: detected, problem } = await detectFileFormat(filePath);
+  const result = { claimedFormat: claimed, detectedFormat: detected };
+
+  if (detected === 'html') {
+    return { ...result, valid: false, format: null, reason: 'the file is an HTML page (an error, login or captcha page?), not a book' };
+  }
+  if (!detected) {
+    return { ...result, valid: false, format: null, reason: 'the file type is not recognised' };
+  }
+  if (problem) {
+    return { ...result, valid: false, format: detected, reason: problem };
+  }
+
+  if (claimed && sameFamily(detected, claimed)) {
+    return { ...result, valid: true, format: BOOK_FORMATS.includes(claimed) ? claimed : detected, corrected: false };
+  }
+  if (CLAIM_ONLY_FORMATS.includes(detected)) {
+    return { ...result, valid: false, format: detected, reason: `the file is ${detected === 'txt' ? 'plain text' : `a ${detected.toUpperCase()} archive`}, not ${claimed ? `a ${claimed.toUpperCase()}` : 'a book'}` };
+  }
+  return { ...result, valid: true, format: detected, corrected: !!claimed };
+}
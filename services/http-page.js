@@ -0,0 +1,55 @@
+import { parseHTML } from 'linkedom';
+
+// HTTP page for server-rendered source pages
+//
+// A stand-in for a Playwright page that fetches HTML with plain HTTP and
+// parses it with linkedom instead of rendering it in Chromium. No scripts
+// run, so it only suits pages whose content is in the HTML (see
+// sources/page-loader.js). Like a browser page it remembers its last
+// navigation: `status`, `headers`, `url`, `document`, and `navigationError`
+// when the request itself failed.
+export function createHttpPage({ userAgent, timeout = 20000 } = {}) {
+  const page = {
+    mode: 'http',
+    status: null,
+    headers: {},
+    document: null,
+    navigationError: null,
+    lastUrl: 'about:blank',
+
+    async fetchDocument(url, { timeout: requestTimeout = timeout } = {}) {
+      page.navigationError = null;
+      let response;
+      try {
+        response = await fetch(url, {
+          headers: {
+            'User-Agent': userAgent,
+            'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.9'
+          },
+          redirect: 'follow',
+          signal: AbortSignal.timeout(requestTimeout)
+        });
+      } catch (error) {
+        page.navigationError = error.name === 'TimeoutError'
+          ? `timed out after ${requestTimeout}ms`
+          : error.cause?.code || error.message;
+        throw new Error(`HTTP request to ${url} failed: ${page.navigationError}`);
+      }
+
+      const html = await response.text();
+      page.status = response.status;
+      page.headers = Object.fromEntries(response.headers);
+      page.lastUrl = response.url || url;
+      // linkedom needs a whole document; error pages are often bare text
+      page.document = parseHTML(/<html[\s>]/i.test(html) ? html : `<!DOCTYPE html><html><body>${html}</body></html>`).document;
+      return { document: page.document, url: page.lastUrl, status: page.status };
+    },
+
+    url() {
+      return page.lastUrl;
+    }
+  };
+
+  return page;
+}
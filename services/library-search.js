@@ -0,0 +1,327 @@
+// Full-text search over downloaded books in the `books` table
+//
+// Title, author, category and description are searched with Postgres full-text
+// search ('simple' config, so no stemming) and every query term is a prefix
+// match. With a direct Postgres connection (the fallback clients expose it as
+// `client.pgClient`) results are ranked with ts_rank, title matches weighing
+// most; through the Supabase REST client each term is matched with PostgREST's
+// `fts` filter and results can't be ranked, so relevance falls back to newest.
+export const LIBRARY_SORT_OPTIONS = ['relevance', 'added', 'date', 'title', 'author'];
+
+const SEARCH_COLUMNS = ['title', 'author', 'category', 'description'];
+
+// Split a query into prefix-matchable terms (letters and digits only)
+export function toSearchTerms(query) {
+  return ((query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, 10);
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, character => `\\${character}`);
+}
+
+// Filters as conditions both backends apply the same way: a list of groups
+// that must all hold, each a list of alternatives (any may hold), each a list
+// of { column, op, value } terms (all must hold). Formats and languages match
+// case-insensitively, and the year is the published_date year when there is
+// one, else the year at the start of `date` (stored as YYYY or YYYY-MM-DD text).
+export function libraryFilterConditions(filters = {}, exact = {}) {
+  const groups = [];
+  const term = (column, op, value) => ({ column, op, value });
+
+  for (const column of ['format', 'language']) {
+    if (filters[column]) groups.push(filters[column].map(value => [term(column, 'ilike', escapeLike(value))]));
+  }
+  for (const column of ['category', 'author']) {
+    if (filters[column]) groups.push([[term(column, 'ilike', `%${escapeLike(filters[column])}%`)]]);
+  }
+
+  const yearBound = (op, year) => [
+    [term('published_date', op, `${year}-01-01`)],
+    [term('published_date', 'is', null), term('date', op, String(year))]
+  ];
+  if (filters.yearFrom !== undefined) groups.push(yearBound('gte', filters.yearFrom));
+  if (filters.yearTo !== undefined) groups.push(yearBound('lt', filters.yearTo + 1));
+
+  for (const column of ['author', 'category']) {
+    if (exact[column] !== undefined) groups.push([[term(column, 'eq', exact[column])]]);
+  }
+  return groups;
+}
+
+const SQL_OPERATORS = { ilike: 'ILIKE', eq: '=', gte: '>=', lt: '<' };
+
+// SQL for the filter conditions, adding their values with `param`
+function toSqlConditions(groups, param) {
+  const sqlTerm = ({ column, op, value }) => (op === 'is' ? `${column} IS NULL` : `${column} ${SQL_OPERATORS[op]} ${param(value)}`);
+  return groups.map((alternatives) => {
+    if (alternatives.length === 1) return alternatives[0].map(sqlTerm).join(' AND ');
+    return `(${alternatives.map(terms => (terms.length === 1 ? sqlTerm(terms[0]) : `(${terms.map(sqlTerm).join(' AND ')})`)).join(' OR ')})`;
+  });
+}
+
+// Apply the filter conditions to a PostgREST request
+function applyRestConditions(request, groups) {
+  const restTerm = ({ column, op, value }) => (op === 'is' ? `${column}.is.null` : `${column}.${op}."${value}"`);
+  for (const alternatives of groups) {
+    if (alternatives.length === 1 && alternatives[0].length === 1) {
+      const [{ column, op, value }] = alternatives[0];
+      request = request[op](column, value);
+    } else {
+      request = request.or(alternatives
+        .map(terms => (terms.length === 1 ? restTerm(terms[0]) : `and(${terms.map(restTerm).join(',')})`))
+        .join(','));
+    }
+  }
+  return request;
+}
+
+// Shape a books row like a search result
+function toLibraryBook(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    author: row.author,
+    format: row.format,
+    date: row.date,
+    category: row.category,
+    description: row.description,
+    language: row.language,
+    publisher: row.publisher ?? null,
+    edition: row.edition ?? null,
+    isbns: row.isbns || [],
+    fileSize: row.file_size != null ? Number(row.file_size) : null,
+    pageCount: row.page_count ?? null,
+    mirrors: row.mirrors || [],
+    coverImageUrl: row.cover_image_url,
+    bookUrl: row.book_url,
+    downloadUrl: row.download_url,
+    fileUrl: row.s3_bucket_url,
+    createdAt: row.created_at,
+    ...(row.rank != null && { score: Math.round(Number(row.rank) * 1000) / 1000 })
+  };
+}
+
+async function searchWithPostgres(pgClient, { terms, filters, exact, sort, limit, offset }) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const document = `
+    setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(author, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(category, '')), 'C') ||
+    setweight(to_tsvector('simple', coalesce(description, '')), 'D')`;
+  const year = `substring(coalesce(published_date::text, date::text) from '(\\d{4})')::int`;
+
+  const conditions = [];
+  let rank = 'NULL';
+  if (terms.length > 0) {
+    const tsQuery = `to_tsquery('simple', ${param(terms.map(term => `${term}:*`).join(' & '))})`;
+    conditions.push(`(${document}) @@ ${tsQuery}`);
+    rank = `ts_rank(${document}, ${tsQuery})`;
+  }
+
+  conditions.push(...toSqlConditions(libraryFilterConditions(filters, exact), param));
+
+  const orderBy = {
+    relevance: 'rank DESC, created_at DESC',
+    added: 'created_at DESC',
+    date: `${year} DESC NULLS LAST, created_at DESC`,
+    title: 'lower(title) ASC',
+    author: 'lower(author) ASC NULLS LAST, lower(title) ASC'
+  }[sort];
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const filterParams = [...params];
+
+  const rows = await pgClient.unsafe(`
+    SELECT *, ${rank} AS rank, COUNT(*) OVER() AS total_count
+    FROM books
+    ${where}
+    ORDER BY ${orderBy}
+    LIMIT ${param(limit)} OFFSET ${param(offset)}
+  `, params);
+
+  // A page past the end has no rows to carry the window count
+  let total = rows.length > 0 ? Number(rows[0].total_count) : 0;
+  if (rows.length === 0 && offset > 0) {
+    const countRows = await pgClient.unsafe(`SELECT COUNT(*)::int AS count FROM books ${where}`, filterParams);
+    total = countRows[0]?.count || 0;
+  }
+
+  return { rows, total, sort };
+}
+
+async function searchWithSupabase(supabase, { terms, filters, exact, sort, limit, offset }) {
+  const buildRequest = (selectOptions) => {
+    let request = supabase.from('books').select('*', selectOptions);
+
+    // Every term has to match one of the columns
+    for (const term of terms) {
+      request = request.or(SEARCH_COLUMNS.map(column => `${column}.fts(simple)."${term}:*"`).join(','));
+    }
+
+    return applyRestConditions(request, libraryFilterConditions(filters, exact));
+  };
+
+  const effectiveSort = sort === 'relevance' ? 'added' : sort;
+  const order = {
+    added: ['created_at', { ascending: false }],
+    date: ['date', { ascending: false, nullsFirst: false }],
+    title: ['title', { ascending: true }],
+    author: ['author', { ascending: true, nullsFirst: false }]
+  }[effectiveSort];
+
+  const { data, count, error } = await buildRequest({ count: 'exact' })
+    .order(...order)
+    .range(offset, offset + limit - 1);
+
+  // PostgREST rejects a range past the last row (PGRST103); report an empty page
+  if (error && error.code === 'PGRST103') {
+    const { count: total, error: countError } = await buildRequest({ count: 'exact', head: true });
+    if (countError) {
+      throw new Error(`Library search failed: ${countError.message}`);
+    }
+    return { rows: [], total: total || 0, sort: effectiveSort };
+  }
+
+  if (error) {
+    throw new Error(`Library search failed: ${error.message}`);
+  }
+
+  return { rows: data || [], total: count || 0, sort: effectiveSort };
+}
+
+// Search the library: { books, total, sort, backend }. `exact` holds an
+// author and/or category the books must match exactly (for browsing).
+export async function searchLibrary(supabase, { query = '', filters = {}, exact = {}, sort, page = 1, limit = 20 }) {
+  const terms = toSearchTerms(query);
+  const options = {
+    terms,
+    filters,
+    exact,
+    sort: sort || (terms.length > 0 ? 'relevance' : 'added'),
+    limit,
+    offset: (page - 1) * limit
+  };
+
+  const backend = supabase.pgClient ? 'postgres' : 'supabase';
+  const result = backend === 'postgres'
+    ? await searchWithPostgres(supabase.pgClient, options)
+    : await searchWithSupabase(supabase, options);
+
+  return {
+    books: result.rows.map(toLibraryBook),
+    total: result.total,
+    terms,
+    sort: result.sort,
+    backend
+  };
+}
+
+// One book by id (null if there is no such book)
+export async function getLibraryBook(supabase, id) {
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id || '')) return null;
+
+  if (supabase.pgClient) {
+    const rows = await supabase.pgClient.unsafe('SELECT * FROM books WHERE id = $1', [id]);
+    return rows.length > 0 ? toLibraryBook(rows[0]) : null;
+  }
+
+  const { data, error } = await supabase.from('books').select('*').eq('id', id).maybeSingle();
+  if (error) {
+    throw new Error(`Library lookup failed: ${error.message}`);
+  }
+  return data ? toLibraryBook(data) : null;
+}
+
+// Most rows read at once through the REST client when a whole-library query
+// (facet counts, the duplicates report) can't be aggregated in SQL. The
+// server's own row limit may be lower.
+export const REST_MAX_ROWS = 10000;
+
+// Every author or category in the library with its number of books, by name:
+// [{ value, count }]
+export async function listLibraryFacet(supabase, column) {
+  if (!['author', 'category'].includes(column)) {
+    throw new Error(`Unknown library facet: ${column}`);
+  }
+
+  if (supabase.pgClient) {
+    return supabase.pgClient.unsafe(`
+      SELECT ${column} AS value, COUNT(*)::int AS count FROM books
+      WHERE coalesce(${column}, '') <> ''
+      GROUP BY ${column}
+      ORDER BY lower(${column}), ${column}
+    `);
+  }
+
+  const { data, error } = await supabase
+    .from('books')
+    .select(column)
+    .not(column, 'is', null)
+    .neq(column, '')
+    .limit(REST_MAX_ROWS);
+
+  if (error) {
+    throw new Error(`Library ${column} list failed: ${error.message}`);
+  }
+
+  const counts = new Map();
+  for (const row of data || []) {
+    counts.set(row[column], (counts.get(row[column]) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => a.value.localeCompare(b.value, undefined, { sensitivity: 'base' }));
+}
+
+// Titles and authors in the library starting with `prefix` (at the start of
+// the field or of any word in it), newest books first
+export async function suggestFromLibrary(supabase, prefix, { limit = 10 } = {}) {
+  // Keep letters, digits and spaces so the prefix is safe inside LIKE and PostgREST filters
+  const cleaned = (prefix || '').replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  if (!cleaned) return [];
+
+  let rows;
+  if (supabase.pgClient) {
+    rows = await supabase.pgClient.unsafe(`
+      SELECT title, author FROM books
+      WHERE title ILIKE $1 OR title ILIKE $2 OR author ILIKE $1 OR author ILIKE $2
+      ORDER BY created_at DESC
+      LIMIT $3
+    `, [`${cleaned}%`, `% ${cleaned}%`, limit]);
+  } else {
+    const { data, error } = await supabase
+      .from('books')
+      .select('title, author')
+      .or([
+        `title.ilike."${cleaned}*"`,
+        `title.ilike."* ${cleaned}*"`,
+        `author.ilike."${cleaned}*"`,
+        `author.ilike."* ${cleaned}*"`
+      ].join(','))
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Library suggestions failed: ${error.message}`);
+    }
+    rows = data || [];
+  }
+
+  const lowerPrefix = cleaned.toLowerCase();
+  const startsWord = text => {
+    const lower = (text || '').toLowerCase();
+    return lower.startsWith(lowerPrefix) || lower.includes(` ${lowerPrefix}`);
+  };
+
+  const suggestions = [];
+  for (const row of rows) {
+    if (startsWord(row.title)) suggestions.push({ text: row.title, type: 'title', source: 'library' });
+    if (startsWord(row.author)) suggestions.push({ text: row.author, type: 'author', source: 'library' });
+  }
+  return suggestions;
+}
@@ -0,0 +1,229 @@
+// OPDS catalog of the stored library
+//
+// Feeds are built as plain objects and rendered either as OPDS 1.2 (Atom XML,
+// served under /opds) or OPDS 2.0 (JSON, under /opds/v2), so both catalogs
+// have the same structure:
+//   { path, query, title, kind: 'navigation' | 'acquisition', updated,
+//     navigation: [{ title, path, kind, count, rel }],
+//     publications: [library book plus `acquisition: { href, type }`],
+//     pagination: { page, limit, total } }
+// Feed paths are relative to the catalog root; acquisition hrefs are used as-is.
+export const OPDS_TYPES = {
+  navigation: 'application/atom+xml;profile=opds-catalog;kind=navigation',
+  acquisition: 'application/atom+xml;profile=opds-catalog;kind=acquisition',
+  opensearch: 'application/opensearchdescription+xml',
+  opds2: 'application/opds+json'
+};
+
+export const CATALOG_TITLE = 'BookHub Library';
+
+const BOOK_MIME_TYPES = {
+  epub: 'application/epub+zip',
+  pdf: 'application/pdf',
+  mobi: 'application/x-mobipocket-ebook',
+  azw: 'application/vnd.amazon.ebook',
+  azw3: 'application/vnd.amazon.ebook',
+  fb2: 'application/x-fictionbook+xml',
+  djvu: 'image/vnd.djvu',
+  cbz: 'application/vnd.comicbook+zip',
+  cbr: 'application/vnd.comicbook-rar',
+  txt: 'text/plain',
+  rtf: 'application/rtf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+export function bookMimeType(format) {
+  return BOOK_MIME_TYPES[(format || '').toLowerCase()] || 'application/octet-stream';
+}
+
+function imageType(url) {
+  if (/\.png($|\?)/i.test(url)) return 'image/png';
+  if (/\.gif($|\?)/i.test(url)) return 'image/gif';
+  if (/\.webp($|\?)/i.test(url)) return 'image/webp';
+  return 'image/jpeg';
+}
+
+function feedHref(prefix, path, query = {}) {
+  const params = new URLSearchParams(
+    Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return `${prefix}${path}${params ? `?${params}` : ''}`;
+}
+
+function selfHref(feed, prefix) {
+  const page = feed.pagination?.page;
+  return feedHref(prefix, feed.path, { ...feed.query, page: page > 1 ? page : undefined });
+}
+
+// first/previous/next/last links of a paged feed
+function pageLinks(feed, prefix) {
+  if (!feed.pagination) return [];
+  const { page, limit, total } = feed.pagination;
+  const lastPage = Math.max(1, Math.ceil(total / limit));
+  const link = (rel, number) => ({
+    rel,
+    href: feedHref(prefix, feed.path, { ...feed.query, page: number > 1 ? number : undefined })
+  });
+
+  return [
+    ...(page > 1 ? [link('first', 1), link('previous', Math.min(page - 1, lastPage))] : []),
+    ...(page < lastPage ? [link('next', page + 1), link('last', lastPage)] : [])
+  ];
+}
+
+// --- OPDS 1.2 (Atom) ---
+
+function xml(value) {
+  return String(value ?? '')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/[&<>"']/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' })[character]);
+}
+
+function atomLink({ rel, href, type, title, length }) {
+  const attributes = [
+    rel && `rel="${xml(rel)}"`,
+    `href="${xml(href)}"`,
+    type && `type="${xml(type)}"`,
+    title && `title="${xml(title)}"`,
+    length && `length="${length}"`
+  ].filter(Boolean);
+  return `<link ${attributes.join(' ')}/>`;
+}
+
+function atomNavigationEntry(item, feed, prefix) {
+  return `  <entry>
+    <title>${xml(item.title)}</title>
+    <id>urn:bookhub:opds${xml(item.path)}</id>
+    <updated>${xml(feed.updated)}</updated>
+${item.count != null ? `    <content type="text">${item.count} ${item.count === 1 ? 'book' : 'books'}</content>\n` : ''}    ${atomLink({ rel: item.rel || 'subsection', href: `${prefix}${item.path}`, type: OPDS_TYPES[item.kind] })}
+  </entry>`;
+}
+
+function atomPublicationEntry(book, feed) {
+  const lines = [
+    `<title>${xml(book.title)}</title>`,
+    `<id>urn:uuid:${xml(book.id)}</id>`,
+    `<updated>${xml(book.createdAt || feed.updated)}</updated>`,
+    ...(book.author ? [`<author><name>${xml(book.author)}</name></author>`] : []),
+    ...(book.language ? [`<dc:language>${xml(book.language)}</dc:language>`] : []),
+    ...(book.publisher ? [`<dc:publisher>${xml(book.publisher)}</dc:publisher>`] : []),
+    ...(book.isbns || []).map(isbn => `<dc:identifier>urn:isbn:${xml(isbn)}</dc:identifier>`),
+    ...(book.category ? [`<category term="${xml(book.category)}" label="${xml(book.category)}"/>`] : []),
+    ...(book.description ? [`<summary type="text">${xml(book.description)}</summary>`] : []),
+    ...(book.coverImageUrl ? [
+      atomLink({ rel: 'http://opds-spec.org/image', href: book.coverImageUrl, type: imageType(book.coverImageUrl) }),
+      atomLink({ rel: 'http://opds-spec.org/image/thumbnail', href: book.coverImageUrl, type: imageType(book.coverImageUrl) })
+    ] : []),
+    ...(book.acquisition ? [atomLink({
+      rel: 'http://opds-spec.org/acquisition',
+      href: book.acquisition.href,
+      type: book.acquisition.type,
+      length: book.fileSize
+    })] : [])
+  ];
+  return `  <entry>\n${lines.map(line => `    ${line}`).join('\n')}\n  </entry>`;
+}
+
+export function renderAtomFeed(feed, { prefix = '/opds' } = {}) {
+  const type = OPDS_TYPES[feed.kind];
+  const links = [
+    { rel: 'self', href: selfHref(feed, prefix), type },
+    { rel: 'start', href: prefix, type: OPDS_TYPES.navigation },
+    { rel: 'search', href: `${prefix}/opensearch.xml`, type: OPDS_TYPES.opensearch },
+    ...pageLinks(feed, prefix).map(link => ({ ...link, type }))
+  ];
+  const pagination = feed.pagination ? [
+    `  <opensearch:totalResults>${feed.pagination.total}</opensearch:totalResults>`,
+    `  <opensearch:itemsPerPage>${feed.pagination.limit}</opensearch:itemsPerPage>`,
+    `  <opensearch:startIndex>${(feed.pagination.page - 1) * feed.pagination.limit + 1}</opensearch:startIndex>`
+  ] : [];
+  const entries = [
+    ...(feed.navigation || []).map(item => atomNavigationEntry(item, feed, prefix)),
+    ...(feed.publications || []).map(book => atomPublicationEntry(book, feed))
+  ];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/terms/" xmlns:opds="http://opds-spec.org/2010/catalog" xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">
+  <id>urn:bookhub:opds${xml(feed.path)}${xml(feedHref('', '', feed.query))}</id>
+  <title>${xml(feed.title)}</title>
+  <updated>${xml(feed.updated)}</updated>
+  <author><name>BookHub</name></author>
+${links.map(link => `  ${atomLink(link)}`).join('\n')}
+${[...pagination, ...entries].join('\n')}
+</feed>
+`;
+}
+
+// OpenSearch description for the Atom catalog's search; `origin` makes the
+// template absolute, which some readers require
+export function renderOpenSearchDescription({ origin, prefix = '/opds' }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>BookHub</ShortName>
+  <Description>Search the ${CATALOG_TITLE}</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <OutputEncoding>UTF-8</OutputEncoding>
+  <Url type="${OPDS_TYPES.acquisition}" template="${xml(`${origin}${prefix}/search`)}?q={searchTerms}&amp;page={startPage?}"/>
+</OpenSearchDescription>
+`;
+}
+
+// --- OPDS 2.0 (JSON) ---
+
+function opds2Publication(book) {
+  return {
+    metadata: {
+      '@type': 'http://schema.org/Book',
+      identifier: `urn:uuid:${book.id}`,
+      title: book.title,
+      ...(book.author && { author: [{ name: book.author }] }),
+      ...(book.language && { language: book.language }),
+      ...(book.publisher && { publisher: book.publisher }),
+      ...(book.description && { description: book.description }),
+      ...(book.category && { subject: [{ name: book.category }] }),
+      ...(book.pageCount && { numberOfPages: book.pageCount }),
+      ...(book.isbns?.length > 0 && { altIdentifier: book.isbns.map(isbn => `urn:isbn:${isbn}`) }),
+      ...(book.createdAt && { modified: book.createdAt })
+    },
+    links: book.acquisition ? [{
+      rel: 'http://opds-spec.org/acquisition',
+      href: book.acquisition.href,
+      type: book.acquisition.type,
+      ...(book.fileSize && { properties: { size: book.fileSize } })
+    }] : [],
+    ...(book.coverImageUrl && { images: [{ href: book.coverImageUrl, type: imageType(book.coverImageUrl) }] })
+  };
+}
+
+export function renderOpds2Feed(feed, { prefix = '/opds/v2' } = {}) {
+  const type = OPDS_TYPES.opds2;
+  return {
+    metadata: {
+      title: feed.title,
+      modified: feed.updated,
+      ...(feed.pagination && {
+        numberOfItems: feed.pagination.total,
+        itemsPerPage: feed.pagination.limit,
+        currentPage: feed.pagination.page
+      })
+    },
+    links: [
+      { rel: 'self', href: selfHref(feed, prefix), type },
+      { rel: 'start', href: prefix, type },
+      { rel: 'search', href: `${prefix}/search{?query}`, type, templated: true },
+      ...pageLinks(feed, prefix).map(link => ({ ...link, type }))
+    ],
+    ...(feed.navigation && {
+      navigation: feed.navigation.map(item => ({
+        href: `${prefix}${item.path}`,
+        title: item.title,
+        type,
+        ...(item.rel && { rel: item.rel }),
+        ...(item.count != null && { properties: { numberOfItems: item.count } })
+      }))
+    }),
+    ...(feed.publications && { publications: feed.publications.map(opds2Publication) })
+  };
+}
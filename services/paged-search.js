@@ -0,0 +1,452 @@
+import crypto from 'crypto';
+import { encodeResultToken } from './result-tokens.js';
+import { planFilters, filterCacheKey, matchesFilters } from './search-filters.js';
+import { parseRetryAfter } from './source-throttle.js';
+import { sourceError, isSourceError } from './source-errors.js';
+import { readPageSignals, classifyPage, saysNoResults, isNavigationFailure } from './block-detection.js';
+import { getSelectorProfile } from '../sources/selector-profiles.js';
+
+// Errors that may be down to the mirror rather than the source
+const FAILOVER_CODES = ['SOURCE_DOWN', 'SOURCE_BLOCKED'];
+
+// Upstream pagination for source searches
+//
+// Maps the API's page/limit onto a source's own result pages. Each upstream
+// listing page and each book's download-URL resolution is cached separately,
+// so a request only scrapes the listing pages covering the requested slice.
+// By default books are returned with a result token and resolved lazily via
+// resolveBookUrl(); with `resolve: true` the returned books are resolved
+// before responding. Filters the source supports in its URL are passed to
+// adapter.search(); the rest are applied to the scraped listings. A sort the
+// source declares in capabilities.sort is passed on too, so its pages come
+// in that order across the whole result set. With a
+// `throttle` (see source-throttle.js) every page load keeps to the source's
+// politeness limits. Pages that are blocked, down or unreadable fail with a
+// typed error instead of looking like an empty result. With `newHttpPage`,
+// pages a source declares in capabilities.http are fetched without a browser.
+// With `mirrors` (see source-mirrors.js), a page load that finds the source
+// down or blocked fails over to its next mirror.
+export function createPagedSearch({ cache, withBrowserContext, newHttpPage = null, throttle = null, mirrors = null, maxFilterPages = 5 }) {
+  const loads = { http: 0, browser: 0, browserFallbacks: 0, mirrorFailovers: 0 };
+
+  // Run fn(page, context, baseUrl) on a page of the source, on the first of
+  // its mirrors that works. With `mirrored: false` the page isn't on a known
+  // mirror and is loaded once with a null baseUrl.
+  async function withSourcePage(adapter, kind, fn, options = {}) {
+    const mirrorUrls = mirrors ? mirrors.candidates(adapter.id) : [];
+    const candidates = options.mirrored === false ? [null]
+      : mirrorUrls.length > 0 ? mirrorUrls : [adapter.baseUrl];
+
+    for (const [index, baseUrl] of candidates.entries()) {
+      const failover = index < candidates.length - 1;
+      try {
+        const result = await withPageLoader(adapter, kind, (page, context) => fn(page, context, baseUrl), { ...options, failover });
+        if (mirrors && baseUrl) mirrors.reportOk(adapter.id, baseUrl);
+        return result;
+      } catch (error) {
+        // A source already backing off never reached the mirror
+        if (mirrors && baseUrl && FAILOVER_CODES.includes(error.code) && !error.backingOff) {
+          mirrors.reportFailure(adapter.id, baseUrl, error.reason);
+        }
+        if (!error.failover) throw error;
+        loads.mirrorFailovers++;
+        console.log(`🔀 ${adapter.id} ${kind} page failed on ${baseUrl}, trying ${candidates[index + 1]}`);
+      }
+    }
+  }
+
+  // Run fn(page, context) with the given loader, 'http' (an HTTP page, no
+  // context; see http-page.js) or 'browser'
+  function withPageLoader(adapter, kind, fn, options) {
+    const attempt = (mode) => {
+      const load = () => {
+        loads[mode]++;
+        return mode === 'http' ? loadOverHttp(adapter, fn, options) : loadInBrowser(adapter, fn, options);
+      };
+      return throttle ? throttle.run(adapter.id, load) : load();
+    };
+
+    if (!newHttpPage || !adapter.capabilities?.http?.includes(kind)) {
+      return attempt('browser');
+    }
+
+    // Server-rendered pages are read over HTTP; pages that turn out to need
+    // JavaScript (or a browser to pass a challenge) are loaded again in Chromium
+    return attempt('http').catch((error) => {
+      if (!error.needsBrowser) throw error;
+      loads.browserFallbacks++;
+      console.log(`🌐 ${adapter.id} ${kind} page needs a browser (${error.reason}), retrying with Playwright`);
+      return attempt('browser');
+    });
+  }
+
+  async function loadOverHttp(adapter, fn, options) {
+    const page = newHttpPage();
+    const result = await runAdapter(adapter, () => fn(page, null), options);
+    await checkPage(adapter, page, result, {
+      ...options,
+      mode: 'http',
+      status: page.status,
+      retryAfterMs: parseRetryAfter(page.headers['retry-after']),
+      navigationError: page.navigationError
+    });
+    return result;
+  }
+
+  function loadInBrowser(adapter, fn, options) {
+    return withBrowserContext(async (context) => {
+      const page = await context.newPage();
+      let navigation = null;
+      let navigationError = null;
+      page.on('response', (response) => {
+        const request = response.request();
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+          navigation = response;
+          navigationError = null;
+        }
+      });
+      page.on('requestfailed', (request) => {
+        const errorText = request.failure()?.errorText || '';
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame() && !errorText.includes('ERR_ABORTED')) {
+          navigationError = errorText;
+        }
+      });
+
+      const result = await runAdapter(adapter, () => fn(page, context), options);
+      await checkPage(adapter, page, result, {
+        ...options,
+        mode: 'browser',
+        status: navigation ? navigation.status() : null,
+        retryAfterMs: parseRetryAfter(navigation?.headers()['retry-after']),
+        navigationError
+      });
+      return result;
+    });
+  }
+
+  async function runAdapter(adapter, fn, { failover }) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!error.code && isNavigationFailure(error)) {
+        throw reportProblem(adapter, { code: 'SOURCE_DOWN', reason: error.message.split('\n')[0] }, { failover });
+      }
+      throw error;
+    }
+  }
+
+  // Challenge, login, error and maintenance pages become typed errors (see
+  // source-errors.js), backing the source off. With `expectResults`, an empty
+  // result the page doesn't explain with a "no results" message is
+  // PARSE_FAILED; an HTTP result failing `httpComplete` needs a browser.
+  async function checkPage(adapter, page, result, { mode, status, retryAfterMs, navigationError, expectResults, httpComplete, failover }) {
+    // Adapters that swallow their own navigation errors still leave a trace
+    if (navigationError) {
+      throw reportProblem(adapter, { code: 'SOURCE_DOWN', reason: `navigation failed: ${navigationError}` }, { failover });
+    }
+
+    const signals = await readPageSignals(page).catch(() => null);
+    const problem = signals && classifyPage(signals, { status });
+    if (problem && mode === 'http' && problem.code === 'SOURCE_BLOCKED') {
+      throw needsBrowser(adapter, problem.reason);
+    }
+    if (problem) {
+      throw reportProblem(adapter, problem, { retryAfterMs, failover });
+    }
+
+    const { noResultsText } = getSelectorProfile(adapter.id);
+    if (expectResults && !expectResults(result) && signals && noResultsText.length > 0 && !saysNoResults(signals, noResultsText)) {
+      if (mode === 'http') throw needsBrowser(adapter, 'no results in the HTML');
+      throw sourceError('PARSE_FAILED', adapter.id, 'no results were found and the page has no "no results" message');
+    }
+    // A missing page (404) won't look any different in a browser
+    if (mode === 'http' && httpComplete && !httpComplete(result) && !(status >= 400)) {
+      throw needsBrowser(adapter, 'incomplete HTML');
+    }
+
+    if (throttle) throttle.reportOk(adapter.id);
+  }
+
+  function needsBrowser(adapter, reason) {
+    const error = new Error(`Source "${adapter.id}" page needs a browser (${reason})`);
+    error.needsBrowser = true;
+    error.reason = reason;
+    return error;
+  }
+
+  // Typed error for a problem page, backing the source off when throttled.
+  // While another mirror is left to try, only the mirror is given up on.
+  function reportProblem(adapter, { code, reason }, { retryAfterMs = null, failover = false } = {}) {
+    if (failover && FAILOVER_CODES.includes(code)) {
+      const error = sourceError(code, adapter.id, reason);
+      error.failover = true;
+      return error;
+    }
+    return throttle
+      ? throttle.reportBlocked(adapter.id, { code, reason, retryAfterMs })
+      : sourceError(code, adapter.id, reason, { retryAfterMs });
+  }
+
+  // One upstream listing page: { books, hasMore, total, totalPages }
+  function getListingPage(adapter, query, pageNumber, { refresh, filters = {}, sort = null }) {
+    const filterKey = filterCacheKey(filters);
+    const cacheKey = `listing:${adapter.id}:${query.trim().toLowerCase()}:${pageNumber}${filterKey ? `:${filterKey}` : ''}${sort ? `:sort=${sort}` : ''}`;
+    return cache.getOrFetch(cacheKey, () => withSourcePage(adapter, 'search', (page, context, baseUrl) =>
+      adapter.search({ page, context, query, baseUrl, pageNumber, filters, ...(sort && { sort }) }),
+      // Pages past the last one may legitimately be empty
+      { expectResults: pageNumber === 1 ? listing => listing.books.length > 0 : null }
+    ), {
+      // Don't pin empty pages (often a transient scrape failure) for the full TTL
+      shouldCache: listing => listing.books.length > 0,
+      bypass: refresh
+    });
+  }
+
+  // Download URL, cover and (for sources that parse them) details for one book page
+  function resolveBookUrl(adapter, bookUrl, { refresh = false } = {}) {
+    const cacheKey = `resolve:${adapter.id}:${bookUrl}`;
+    return cache.getOrFetch(cacheKey, () => withSourcePage(adapter, 'book', (page, context, baseUrl) =>
+      adapter.resolveDownloadUrl(page, baseUrl && mirrors ? mirrors.onMirror(adapter.id, bookUrl, baseUrl) : bookUrl),
+      {
+        // The link may be added by a script
+        httpComplete: info => !!info.downloadUrl,
+        // Book URLs from a listing point at the mirror it was read from
+        mirrored: !mirrors || mirrors.owns(adapter.id, bookUrl)
+      }
+    ), {
+      shouldCache: info => !!info.downloadUrl,
+      bypass: refresh
+    });
+  }
+
+  // Combine cache results into one status for the source
+  function summarizeCache(results) {
+    const statuses = results.map(result => result.status);
+    return {
+      cacheStatus: ['BYPASS', 'MISS', 'STALE'].find(status => statuses.includes(status)) || 'HIT',
+      cacheAge: Math.max(0, ...results.map(result => result.age)),
+      cacheMaxAge: Math.min(...results.map(result => result.maxAge))
+    };
+  }
+
+  // Work out the source's total from what the listing pages told us
+  function computeTotal(lastListing, lastPageNumber, perPage) {
+    if (typeof lastListing.total === 'number') {
+      return { total: lastListing.total, totalIsEstimate: !!lastListing.totalIsEstimate };
+    }
+    if (!lastListing.hasMore) {
+      return { total: (lastPageNumber - 1) * perPage + lastListing.books.length, totalIsEstimate: false };
+    }
+    if (typeof lastListing.totalPages === 'number') {
+      return { total: lastListing.totalPages * perPage, totalIsEstimate: true };
+    }
+    // Only a lower bound: everything seen so far plus at least one more page
+    return { total: lastPageNumber * perPage + 1, totalIsEstimate: true };
+  }
+
+  // Book page details over the listing's own, keeping listing values the
+  // book page doesn't have
+  function mergeDetails(listingDetails, pageDetails) {
+    if (!listingDetails || !pageDetails) return pageDetails || listingDetails;
+    const merged = { ...listingDetails };
+    for (const [key, value] of Object.entries(pageDetails)) {
+      const empty = value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+      if (!empty || !(key in merged)) merged[key] = value;
+    }
+    return merged;
+  }
+
+  // Listing metadata (with the details the listing shows) plus a result
+  // token; includes the download URL and the book page's details when they
+  // are already cached
+  async function toLazyBook(adapter, metadata) {
+    const resolved = await cache.peek(`resolve:${adapter.id}:${metadata.bookUrl}`);
+    const details = mergeDetails(metadata.details, resolved?.details);
+    return {
+      id: crypto.randomUUID(),
+      ...metadata,
+      token: encodeResultToken(adapter.id, metadata.bookUrl),
+      downloadUrl: resolved?.downloadUrl || null,
+      coverImageUrl: metadata.coverImageUrl || resolved?.coverImageUrl || '',
+      ...(details && { details }),
+      resolved: !!resolved?.downloadUrl
+    };
+  }
+
+  // Resolve download URLs for the returned books only, sequentially to stay
+  // polite to the source; books without a download URL are dropped.
+  // onBook/onProgress report each book as it resolves; an aborted signal
+  // stops before the next book.
+  async function resolveEagerly(adapter, slice, { refresh, cacheResults, onBook, onProgress, signal }) {
+    const books = [];
+    let attempted = 0;
+    for (const metadata of slice) {
+      if (signal?.aborted) break;
+
+      try {
+        const result = await resolveBookUrl(adapter, metadata.bookUrl, { refresh });
+        cacheResults.push(result);
+        const { downloadUrl, coverImageUrl } = result.value;
+        const details = mergeDetails(metadata.details, result.value.details);
+
+        if (downloadUrl) {
+          books.push({
+            id: crypto.randomUUID(),
+            ...metadata,
+            token: encodeResultToken(adapter.id, metadata.bookUrl),
+            downloadUrl,
+            coverImageUrl: metadata.coverImageUrl || coverImageUrl || '',
+            ...(details && { details }),
+            resolved: true
+          });
+          console.log(`✅ Got ${adapter.id} download URL for:`, metadata.title);
+          if (onBook) onBook(books[books.length - 1]);
+        }
+      } catch (error) {
+        // The rest of the page would fail the same way
+        if (isSourceError(error)) throw error;
+        console.error(`❌ Failed to get ${adapter.id} download URL for:`, metadata.title, error);
+      }
+
+      attempted++;
+      if (onProgress) onProgress({ phase: 'resolving', attempted, resolved: books.length, total: slice.length });
+    }
+    return books;
+  }
+
+  // Walk the upstream pages covering [offset, offset + limit)
+  async function collectPaged(adapter, query, { offset, limit, refresh, urlFilters, sort, cacheResults }) {
+    const first = await getListingPage(adapter, query, 1, { refresh, filters: urlFilters, sort });
+    cacheResults.push(first);
+
+    const perPage = first.value.books.length;
+    if (perPage === 0) {
+      return {
+        slice: [],
+        listingTotal: { total: first.value.total || 0, totalIsEstimate: false },
+        hasMore: false
+      };
+    }
+
+    const startPage = Math.floor(offset / perPage) + 1;
+    const endPage = Math.floor((offset + limit - 1) / perPage) + 1;
+
+    // The first page was the last one, so there is nothing past it to fetch
+    if (startPage > 1 && !first.value.hasMore) {
+      return {
+        slice: [],
+        listingTotal: computeTotal(first.value, 1, perPage),
+        hasMore: false
+      };
+    }
+
+    let listing = first.value;
+    let lastPageNumber = 1;
+    const entries = [];
+
+    for (let pageNumber = startPage; pageNumber <= endPage; pageNumber++) {
+      if (pageNumber > 1) {
+        // Don't walk past the source's last page
+        const previousWasLast = pageNumber === lastPageNumber + 1 && !listing.hasMore;
+        const beyondTotalPages = typeof first.value.totalPages === 'number' && pageNumber > first.value.totalPages;
+        if (previousWasLast || beyondTotalPages) break;
+
+        const result = await getListingPage(adapter, query, pageNumber, { refresh, filters: urlFilters, sort });
+        cacheResults.push(result);
+        listing = result.value;
+        lastPageNumber = pageNumber;
+        if (listing.books.length === 0) break;
+      }
+      entries.push(...listing.books);
+    }
+
+    const sliceStart = offset - (startPage - 1) * perPage;
+    return {
+      slice: entries.slice(sliceStart, sliceStart + limit),
+      listingTotal: computeTotal(listing, lastPageNumber, perPage),
+      hasMore: sliceStart + limit < entries.length || (lastPageNumber >= endPage && !!listing.hasMore)
+    };
+  }
+
+  // With post-scrape filters the upstream page size no longer maps onto API
+  // pages, so walk the source's pages from the start collecting matches (at
+  // most maxFilterPages pages)
+  async function collectFiltered(adapter, query, { offset, limit, refresh, urlFilters, listingFilters, sort, cacheResults }) {
+    const entries = [];
+    let listing;
+    let pageNumber = 0;
+
+    do {
+      pageNumber++;
+      const result = await getListingPage(adapter, query, pageNumber, { refresh, filters: urlFilters, sort });
+      cacheResults.push(result);
+      listing = result.value;
+      entries.push(...listing.books.filter(book => matchesFilters(book, listingFilters)));
+    } while (
+      entries.length <= offset + limit &&
+      listing.hasMore &&
+      listing.books.length > 0 &&
+      pageNumber < maxFilterPages
+    );
+
+    // Matches beyond the scanned pages can't be reached by later API pages
+    // either, so only what was collected counts towards hasMore
+    const exhausted = !listing.hasMore || listing.books.length === 0;
+    return {
+      slice: entries.slice(offset, offset + limit),
+      listingTotal: { total: entries.length, totalIsEstimate: !exhausted },
+      hasMore: offset + limit < entries.length
+    };
+  }
+
+  // Search one source for API page `page` of size `limit`
+  async function searchSourcePage(adapter, query, {
+    page = 1,
+    limit = 10,
+    filters = {},
+    sort = null,
+    refresh = false,
+    resolve = false,
+    onListing,
+    onBook,
+    onProgress,
+    signal
+  } = {}) {
+    const cacheResults = [];
+    const offset = (page - 1) * limit;
+    const plan = planFilters(adapter, filters);
+    // The source's own value for the sort, if it can sort its result pages
+    const upstreamSort = (sort && adapter.capabilities?.sort?.[sort]) || null;
+    const collectOptions = { offset, limit, refresh, urlFilters: plan.url, listingFilters: plan.listing, sort: upstreamSort, cacheResults };
+
+    const { slice, listingTotal, hasMore } = Object.keys(plan.listing).length > 0
+      ? await collectFiltered(adapter, query, collectOptions)
+      : await collectPaged(adapter, query, collectOptions);
+
+    if (onListing) onListing({ count: slice.length, ...listingTotal });
+
+    const books = resolve
+      ? await resolveEagerly(adapter, slice, { refresh, cacheResults, onBook, onProgress, signal })
+      : await Promise.all(slice.map(metadata => toLazyBook(adapter, metadata)));
+
+    return {
+      books,
+      ...listingTotal,
+      hasMore,
+      mirror: mirrors ? mirrors.getActive(adapter.id) : adapter.baseUrl,
+      filters: {
+        pushedDown: Object.keys(plan.url),
+        postFiltered: Object.keys(plan.listing),
+        unsupported: plan.unsupported
+      },
+      sortedBySource: !!upstreamSort,
+      ...summarizeCache(cacheResults)
+    };
+  }
+
+  function getStats() {
+    return { httpEnabled: !!newHttpPage, pageLoads: { ...loads } };
+  }
+
+  return { searchSourcePage, resolveBookUrl, withSourcePage, getStats };
+}
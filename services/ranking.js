@@ -0,0 +1,76 @@
+import { normalizeText, normalizeAuthor } from './federated-search.js';
+import { bookYear } from './search-filters.js';
+
+// Relevance ranking and sorting for search results
+//
+// The relevance score (0-1) weighs how well title and author match the query,
+// the preferred file formats, recency, and whether several sources have the
+// book. Sorting is stable, so ties keep the sources' own order.
+export const SORT_OPTIONS = ['relevance', 'date', 'title', 'author'];
+
+const WEIGHTS = {
+  title: 0.55,
+  author: 0.15,
+  format: 0.1,
+  recency: 0.15,
+  sources: 0.05
+};
+
+// Books older than this many years get no recency score
+const RECENCY_WINDOW = 30;
+
+function tokenize(value) {
+  return normalizeText(value).split(' ').filter(Boolean);
+}
+
+// Share of query terms found in the text, with a bonus for the whole phrase
+function matchScore(queryTokens, text) {
+  if (queryTokens.length === 0) return 0;
+  const normalized = normalizeText(text);
+  const tokens = new Set(normalized.split(' '));
+  const matched = queryTokens.filter(token => tokens.has(token)).length / queryTokens.length;
+  const phrase = ` ${normalized} `.includes(` ${queryTokens.join(' ')} `) ? 1 : 0;
+  return matched * 0.7 + phrase * 0.3;
+}
+
+// Relevance score for one book
+export function scoreBook(book, query, { preferredFormats = [] } = {}) {
+  const queryTokens = tokenize(query);
+
+  const formatIndex = preferredFormats.indexOf((book.format || '').toLowerCase());
+  const formatScore = formatIndex === -1 ? 0 : (preferredFormats.length - formatIndex) / preferredFormats.length;
+
+  const year = bookYear(book);
+  const age = year === null ? RECENCY_WINDOW : new Date().getFullYear() - year;
+  const recencyScore = Math.min(Math.max(1 - age / RECENCY_WINDOW, 0), 1);
+
+  const score = WEIGHTS.title * matchScore(queryTokens, book.title) +
+    WEIGHTS.author * matchScore(queryTokens, normalizeAuthor(book.author)) +
+    WEIGHTS.format * formatScore +
+    WEIGHTS.recency * recencyScore +
+    WEIGHTS.sources * ((book.sources?.length || 1) > 1 ? 1 : 0);
+
+  return Math.round(score * 1000) / 1000;
+}
+
+// Compare two strings with empty values last
+function compareText(a, b) {
+  if (!a && !b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  return a.localeCompare(b);
+}
+
+const comparators = {
+  relevance: (a, b) => b.score - a.score,
+  // Newest first; listing dates are YYYY or YYYY-MM-DD, so they compare as strings
+  date: (a, b) => (a.date && b.date ? b.date.localeCompare(a.date) : compareText(a.date, b.date)),
+  title: (a, b) => compareText(normalizeText(a.title), normalizeText(b.title)),
+  author: (a, b) => compareText(normalizeAuthor(a.author), normalizeAuthor(b.author))
+};
+
+// Add a `score` to every book and sort by `sort`
+export function rankBooks(books, query, { sort = 'relevance', preferredFormats = [] } = {}) {
+  const scored = books.map(book => ({ ...book, score: scoreBook(book, query, { preferredFormats }) }));
+  return scored.sort(comparators[sort] || comparators.relevance);
+}
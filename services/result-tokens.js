@@ -0,0 +1,26 @@
+// Stable result tokens
+//
+// A token identifies one search result (source + book page URL) so its
+// download URL can be resolved later via /books/resolve. Tokens are plain
+// base64url JSON: the same book always gets the same token, and they stay
+// valid across restarts. Callers must check the decoded URL belongs to the
+// source before navigating to it.
+export function encodeResultToken(sourceId, bookUrl) {
+  return Buffer.from(JSON.stringify([sourceId, bookUrl])).toString('base64url');
+}
+
+// Returns { sourceId, bookUrl } or null for malformed tokens
+export function decodeResultToken(token) {
+  try {
+    const decoded = JSON.parse(Buffer.from(token || '', 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 2) return null;
+
+    const [sourceId, bookUrl] = decoded;
+    if (typeof sourceId !== 'string' || typeof bookUrl !== 'string') return null;
+    if (!/^https?:\/\//.test(bookUrl)) return null;
+
+    return { sourceId, bookUrl };
+  } catch (error) {
+    return null;
+  }
+}
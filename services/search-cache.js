@@ -0,0 +1,218 @@
+// Search result cache with TTL and stale-while-revalidate
+//
+// Entries are fresh for `ttl` seconds. For a further `staleWhileRevalidate`
+// seconds they are still served (X-Cache: STALE) while a background refresh
+// runs. Anything older is a miss. Stores share an async get/set/delete API so
+// the in-memory default can be swapped for the Postgres-backed store.
+
+// In-memory LRU store
+export function createMemoryCacheStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    type: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      // Refresh LRU position
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async purge(maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      for (const [key, entry] of entries) {
+        if (entry.storedAt < cutoff) entries.delete(key);
+      }
+    },
+    async size() {
+      return entries.size;
+    }
+  };
+}
+
+// Postgres-backed store (uses a `postgres` client)
+export function createPostgresCacheStore(pgClient, { table = 'search_cache' } = {}) {
+  let ready = null;
+
+  // Create the cache table on first use
+  function ensureTable() {
+    if (!ready) {
+      ready = pgClient.unsafe(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          cache_key TEXT PRIMARY KEY,
+          payload JSONB NOT NULL,
+          stored_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `).catch((error) => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  }
+
+  return {
+    type: 'postgres',
+    async get(key) {
+      await ensureTable();
+      const rows = await pgClient.unsafe(
+        `SELECT payload, stored_at FROM ${table} WHERE cache_key = $1 LIMIT 1`,
+        [key]
+      );
+      if (!rows[0]) return null;
+      return { value: rows[0].payload, storedAt: new Date(rows[0].stored_at).getTime() };
+    },
+    async set(key, entry) {
+      await ensureTable();
+      await pgClient.unsafe(
+        `INSERT INTO ${table} (cache_key, payload, stored_at) VALUES ($1, $2::text::jsonb, $3)
+         ON CONFLICT (cache_key) DO UPDATE SET payload = EXCLUDED.payload, stored_at = EXCLUDED.stored_at`,
+        [key, JSON.stringify(entry.value), new Date(entry.storedAt).toISOString()]
+      );
+    },
+    async delete(key) {
+      await ensureTable();
+      await pgClient.unsafe(`DELETE FROM ${table} WHERE cache_key = $1`, [key]);
+    },
+    async purge(maxAgeMs) {
+      await ensureTable();
+      await pgClient.unsafe(
+        `DELETE FROM ${table} WHERE stored_at < $1`,
+        [new Date(Date.now() - maxAgeMs).toISOString()]
+      );
+    },
+    async size() {
+      await ensureTable();
+      const rows = await pgClient.unsafe(`SELECT COUNT(*)::int AS count FROM ${table}`);
+      return rows[0]?.count || 0;
+    }
+  };
+}
+
+export function createSearchCache({ store, ttl = 600, staleWhileRevalidate = 3600 }) {
+  const inFlight = new Map();
+  const stats = { hits: 0, misses: 0, stale: 0, refreshes: 0, refreshFailures: 0, storeErrors: 0 };
+  const ttlMs = ttl * 1000;
+  const maxAgeMs = (ttl + staleWhileRevalidate) * 1000;
+  let lastPurge = Date.now();
+
+  // Run the fetcher once per key, storing the result if it should be cached
+  function load(key, fetcher, shouldCache) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await fetcher();
+        if (shouldCache(value)) {
+          try {
+            await store.set(key, { value, storedAt: Date.now() });
+          } catch (error) {
+            stats.storeErrors++;
+            console.error('❌ [SearchCache] Failed to store entry:', error.message);
+          }
+        }
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  // Occasionally drop entries past their stale window
+  function maybePurge() {
+    if (Date.now() - lastPurge < 60000) return;
+    lastPurge = Date.now();
+    store.purge(maxAgeMs).catch((error) => {
+      stats.storeErrors++;
+      console.error('❌ [SearchCache] Failed to purge entries:', error.message);
+    });
+  }
+
+  // Resolve a key from cache or the fetcher.
+  // Returns { value, status: 'HIT' | 'STALE' | 'MISS' | 'BYPASS', age, maxAge }
+  async function getOrFetch(key, fetcher, { shouldCache = () => true, bypass = false } = {}) {
+    maybePurge();
+
+    if (bypass) {
+      stats.misses++;
+      const value = await load(key, fetcher, shouldCache);
+      return { value, status: 'BYPASS', age: 0, maxAge: ttl };
+    }
+
+    let entry = null;
+    try {
+      entry = await store.get(key);
+    } catch (error) {
+      stats.storeErrors++;
+      console.error('❌ [SearchCache] Failed to read entry:', error.message);
+    }
+
+    const ageMs = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (entry && ageMs < ttlMs) {
+      stats.hits++;
+      return { value: entry.value, status: 'HIT', age: Math.floor(ageMs / 1000), maxAge: ttl };
+    }
+
+    if (entry && ageMs < maxAgeMs) {
+      stats.stale++;
+      if (!inFlight.has(key)) {
+        stats.refreshes++;
+        console.log(`🔄 [SearchCache] Revalidating stale entry: ${key}`);
+        load(key, fetcher, shouldCache).catch((error) => {
+          stats.refreshFailures++;
+          console.error(`❌ [SearchCache] Background refresh failed for ${key}:`, error.message);
+        });
+      }
+      return { value: entry.value, status: 'STALE', age: Math.floor(ageMs / 1000), maxAge: ttl };
+    }
+
+    stats.misses++;
+    const value = await load(key, fetcher, shouldCache);
+    return { value, status: 'MISS', age: 0, maxAge: ttl };
+  }
+
+  // Read a fresh or stale value without fetching (null when absent or expired)
+  async function peek(key) {
+    try {
+      const entry = await store.get(key);
+      if (entry && Date.now() - entry.storedAt < maxAgeMs) return entry.value;
+    } catch (error) {
+      stats.storeErrors++;
+    }
+    return null;
+  }
+
+  async function getStats() {
+    let size = null;
+    try {
+      size = await store.size();
+    } catch (error) {
+      stats.storeErrors++;
+    }
+    return {
+      store: store.type,
+      ttl,
+      staleWhileRevalidate,
+      size,
+      inFlight: inFlight.size,
+      ...stats
+    };
+  }
+
+  return { getOrFetch, peek, getStats, ttl, staleWhileRevalidate };
+}
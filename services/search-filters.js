@@ -0,0 +1,118 @@
+import { normalizeText, normalizeAuthor } from './federated-search.js';
+
+// Structured search filters
+//
+// Sources declare per filter how they support it in `capabilities.filters`:
+//   'url'     - pushed down into the source's own search URL
+//   'listing' - applied to the scraped listing metadata
+// Filters a source doesn't list are ignored for that source and reported back.
+export const FILTER_NAMES = ['format', 'yearFrom', 'yearTo', 'category', 'language', 'author'];
+
+function parseList(value) {
+  return (value || '')
+    .toString()
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function parseYear(value, name) {
+  if (value === undefined || value === '') return { year: null };
+  const year = parseInt(value, 10);
+  if (!/^\d{4}$/.test(value.toString().trim()) || Number.isNaN(year)) {
+    return { error: `${name} must be a four-digit year` };
+  }
+  return { year };
+}
+
+// Parse filters from request query params: { filters, error }
+// Only filters that were actually given are included.
+export function parseSearchFilters(params = {}) {
+  const filters = {};
+
+  const formats = parseList(params.format);
+  if (formats.some(format => !/^[a-z0-9]+$/.test(format))) {
+    return { error: 'format must be a comma-separated list of file extensions (e.g. epub,pdf)' };
+  }
+  if (formats.length > 0) filters.format = formats;
+
+  const languages = parseList(params.language);
+  if (languages.some(language => !/^[a-z]{2,3}$/.test(language))) {
+    return { error: 'language must be a comma-separated list of ISO 639 codes (e.g. en,de)' };
+  }
+  if (languages.length > 0) filters.language = languages;
+
+  const from = parseYear(params.yearFrom, 'yearFrom');
+  if (from.error) return { error: from.error };
+  const to = parseYear(params.yearTo, 'yearTo');
+  if (to.error) return { error: to.error };
+  if (from.year !== null && to.year !== null && from.year > to.year) {
+    return { error: 'yearFrom must not be after yearTo' };
+  }
+  if (from.year !== null) filters.yearFrom = from.year;
+  if (to.year !== null) filters.yearTo = to.year;
+
+  const category = (params.category || '').toString().trim();
+  if (category) filters.category = category;
+
+  const author = (params.author || '').toString().trim();
+  if (author) filters.author = author;
+
+  return { filters };
+}
+
+// Split filters by how a source supports them
+export function planFilters(adapter, filters) {
+  const support = adapter.capabilities?.filters || {};
+  const plan = { url: {}, listing: {}, unsupported: [] };
+
+  for (const [name, value] of Object.entries(filters)) {
+    if (support[name] === 'url') plan.url[name] = value;
+    else if (support[name] === 'listing') plan.listing[name] = value;
+    else plan.unsupported.push(name);
+  }
+  return plan;
+}
+
+// Stable key for the filters that change the source's own listing pages
+export function filterCacheKey(filters) {
+  const names = Object.keys(filters).sort();
+  if (names.length === 0) return '';
+  return names.map(name => `${name}=${[].concat(filters[name]).join(',').toLowerCase()}`).join('&');
+}
+
+// Publication year from the listing date (null when unknown)
+export function bookYear(book) {
+  const match = (book.date || '').toString().match(/\b(\d{4})\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Check one book against listing-level filters; books missing a filtered
+// field don't match
+export function matchesFilters(book, filters) {
+  if (filters.format && !filters.format.includes((book.format || '').toLowerCase())) {
+    return false;
+  }
+
+  if (filters.language && !filters.language.includes((book.language || '').toLowerCase())) {
+    return false;
+  }
+
+  if (filters.yearFrom !== undefined || filters.yearTo !== undefined) {
+    const year = bookYear(book);
+    if (year === null) return false;
+    if (filters.yearFrom !== undefined && year < filters.yearFrom) return false;
+    if (filters.yearTo !== undefined && year > filters.yearTo) return false;
+  }
+
+  if (filters.category && !normalizeText(book.category).includes(normalizeText(filters.category))) {
+    return false;
+  }
+
+  if (filters.author) {
+    const author = normalizeAuthor(book.author);
+    if (!author || !author.includes(normalizeText(filters.author))) return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,114 @@
+import { getSelectorProfile } from '../sources/selector-profiles.js';
+
+// Selector self-check
+//
+// Runs the profile's canary query through the real adapter, then counts how
+// many elements each selector of the search page and the first book's page
+// matches. Required selectors that match nothing point at a site change.
+// Pages come from `withPage(kind, fn, options)`, which runs
+// fn(page, context, baseUrl) on a page of the source; the server passes
+// pagedSearch.withSourcePage, so the check loads pages like a search does
+// (throttled, over HTTP where the source allows it) and a blocked or
+// unavailable site fails it with a source error.
+
+// Runs in the browser too, so it only uses its arguments
+function countSelectors(selectors, root = document) {
+  const counts = {};
+  for (const [name, selector] of Object.entries(selectors)) {
+    try {
+      counts[name] = root.querySelectorAll(selector).length;
+    } catch (error) {
+      counts[name] = null;
+    }
+  }
+  return counts;
+}
+
+// Count matches for every CSS selector in a group (null for invalid ones)
+async function countMatches(page, group) {
+  const cssSelectors = Object.fromEntries(
+    Object.entries(group).filter(([, selector]) => typeof selector === 'string' && !selector.startsWith('xpath='))
+  );
+
+  if (page.mode === 'http') {
+    return page.document ? countSelectors(cssSelectors, page.document) : countSelectors({});
+  }
+  return page.evaluate(countSelectors, cssSelectors);
+}
+
+function describeGroup(pageName, group, counts, optional) {
+  return Object.fromEntries(Object.entries(counts).map(([name, matches]) => [name, {
+    selector: group[name],
+    matches,
+    optional: optional.includes(`${pageName}.${name}`)
+  }]));
+}
+
+// Describe the selectors of one page group as read from `page`
+async function checkGroup(pageName, page, profile) {
+  return {
+    url: page.url(),
+    mode: page.mode === 'http' ? 'http' : 'browser',
+    selectors: describeGroup(pageName, profile[pageName], await countMatches(page, profile[pageName]), profile.optional)
+  };
+}
+
+// `query` defaults to the profile's canary query
+export async function runSelectorSelfCheck(adapter, withPage, { query } = {}) {
+  const startTime = Date.now();
+  const profile = getSelectorProfile(adapter.id);
+  const canaryQuery = query || profile.canaryQuery;
+  const checks = {};
+
+  // Search page; an empty listing over HTTP is tried again in the browser
+  const listing = await withPage('search', async (page, context, baseUrl) => {
+    const result = await adapter.search({ page, context, query: canaryQuery, baseUrl, pageNumber: 1 });
+    checks.search = await checkGroup('search', page, profile);
+    return result;
+  }, { httpComplete: result => result.books.length > 0 });
+
+  // First book's page, on the mirror the listing came from
+  let downloadUrl = '';
+  if (profile.book && listing.books.length > 0) {
+    ({ downloadUrl } = await withPage('book', async (page) => {
+      const info = await adapter.resolveDownloadUrl(page, listing.books[0].bookUrl);
+      checks.book = await checkGroup('book', page, profile);
+      return info;
+    }, { mirrored: false, httpComplete: info => !!info.downloadUrl }));
+  }
+
+  const emptySelectors = [];
+  const optionalEmpty = [];
+  const invalidSelectors = [];
+  for (const [pageName, check] of Object.entries(checks)) {
+    for (const [name, result] of Object.entries(check.selectors)) {
+      if (result.matches === null) invalidSelectors.push(`${pageName}.${name}`);
+      else if (result.matches === 0) (result.optional ? optionalEmpty : emptySelectors).push(`${pageName}.${name}`);
+    }
+  }
+
+  const checkedPages = Object.keys(checks);
+  return {
+    source: adapter.id,
+    ok: emptySelectors.length === 0 && invalidSelectors.length === 0 && listing.books.length > 0 && !!downloadUrl,
+    profile: {
+      version: profile.version,
+      updated: profile.updated,
+      origin: profile.origin
+    },
+    canaryQuery,
+    results: {
+      books: listing.books.length,
+      downloadUrl: !!downloadUrl
+    },
+    emptySelectors,
+    optionalEmpty,
+    invalidSelectors,
+    checks,
+    // Groups for pages the canary doesn't reach (e.g. third-party download pages)
+    notChecked: Object.keys(profile).filter(key =>
+      profile[key] && typeof profile[key] === 'object' && !Array.isArray(profile[key]) && !checkedPages.includes(key)
+    ),
+    durationMs: Date.now() - startTime
+  };
+}
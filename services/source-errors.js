@@ -0,0 +1,38 @@
+// Typed scraper errors
+//
+// Errors raised for a source carry a `code` callers can branch on, so "no
+// results" can be told apart from "we couldn't read the site":
+//   SOURCE_THROTTLED  over our own request budget for the source, or backing off
+//   SOURCE_BLOCKED    the source served a challenge, captcha, login wall or 403
+//   SOURCE_DOWN       the source answered with a server error or maintenance page
+//   PARSE_FAILED      the page loaded but the scraper couldn't find what it expected
+// plus `source`, `reason` and, when a retry makes sense, `retryAfter` (seconds).
+export const SOURCE_ERRORS = {
+  SOURCE_THROTTLED: { httpStatus: 429, status: 'throttled', error: 'Source throttled' },
+  SOURCE_BLOCKED: { httpStatus: 502, status: 'blocked', error: 'Source blocked' },
+  SOURCE_DOWN: { httpStatus: 503, status: 'down', error: 'Source unavailable' },
+  PARSE_FAILED: { httpStatus: 502, status: 'error', error: 'Failed to parse source' }
+};
+
+export function sourceError(code, sourceId, reason, { retryAfterMs = null } = {}) {
+  const retryAfter = retryAfterMs === null ? null : Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const descriptions = {
+    SOURCE_THROTTLED: 'is throttled',
+    SOURCE_BLOCKED: 'blocked the request',
+    SOURCE_DOWN: 'is unavailable',
+    PARSE_FAILED: 'returned a page that could not be parsed'
+  };
+
+  const error = new Error(
+    `Source "${sourceId}" ${descriptions[code]} (${reason})${retryAfter ? `; retry after ${retryAfter}s` : ''}`
+  );
+  error.code = code;
+  error.source = sourceId;
+  error.reason = reason;
+  if (retryAfter) error.retryAfter = retryAfter;
+  return error;
+}
+
+export function isSourceError(error) {
+  return !!error && Object.hasOwn(SOURCE_ERRORS, error.code);
+}
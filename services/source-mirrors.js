@@ -0,0 +1,104 @@
+// Source mirror failover
+//
+// Book sites rotate domains, so each source has an ordered list of mirrors
+// (see getSourceMirrors() in sources/index.js). Page loads go to the first
+// healthy mirror. A mirror that times out, is down or serves a block page is
+// skipped for `cooldownMs` and the load fails over to the next one; once the
+// cooldown is over it is tried again, so a source goes back to its preferred
+// mirror when that recovers. When every mirror is cooling down, the one that
+// recovers first is tried.
+export function createSourceMirrors({ mirrors = {}, cooldownMs = 300000 } = {}) {
+  const sources = new Map(Object.entries(mirrors).map(([sourceId, urls]) => [
+    sourceId,
+    urls.map(url => ({
+      url,
+      downUntil: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastFailureAt: null,
+      lastOkAt: null,
+      stats: { loads: 0, failures: 0 }
+    }))
+  ]));
+
+  function findMirror(sourceId, url) {
+    return (sources.get(sourceId) || []).find(mirror => mirror.url === url) || null;
+  }
+
+  // Mirrors to try, in order
+  function candidates(sourceId) {
+    const list = sources.get(sourceId) || [];
+    const now = Date.now();
+    const healthy = list.filter(mirror => mirror.downUntil <= now);
+    if (healthy.length > 0 || list.length === 0) {
+      return healthy.map(mirror => mirror.url);
+    }
+    const soonest = list.reduce((best, mirror) => mirror.downUntil < best.downUntil ? mirror : best);
+    return [soonest.url];
+  }
+
+  // The mirror the next page load goes to
+  function getActive(sourceId) {
+    return candidates(sourceId)[0] || null;
+  }
+
+  // Whether `url` is on one of the source's mirrors
+  function owns(sourceId, url) {
+    try {
+      const { hostname } = new URL(url);
+      return (sources.get(sourceId) || []).some(mirror => new URL(mirror.url).hostname === hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Move a URL taken from one mirror onto another
+  function onMirror(sourceId, url, mirrorUrl) {
+    if (!mirrorUrl || !owns(sourceId, url)) return url;
+    const moved = new URL(url);
+    const target = new URL(mirrorUrl);
+    moved.protocol = target.protocol;
+    moved.host = target.host;
+    return moved.href;
+  }
+
+  function reportOk(sourceId, url) {
+    const mirror = findMirror(sourceId, url);
+    if (!mirror) return;
+    mirror.stats.loads++;
+    mirror.consecutiveFailures = 0;
+    mirror.downUntil = 0;
+    mirror.lastOkAt = new Date().toISOString();
+  }
+
+  function reportFailure(sourceId, url, reason) {
+    const mirror = findMirror(sourceId, url);
+    if (!mirror) return;
+    mirror.stats.loads++;
+    mirror.stats.failures++;
+    mirror.consecutiveFailures++;
+    mirror.downUntil = Date.now() + cooldownMs;
+    mirror.lastError = reason;
+    mirror.lastFailureAt = new Date().toISOString();
+    console.log(`🔀 [SourceMirrors] ${sourceId} mirror ${url} failed (${reason}), skipping it for ${Math.ceil(cooldownMs / 1000)}s`);
+  }
+
+  function getStats() {
+    const now = Date.now();
+    return Object.fromEntries([...sources.entries()].map(([sourceId, list]) => [sourceId, {
+      active: getActive(sourceId),
+      mirrors: list.map(mirror => ({
+        url: mirror.url,
+        healthy: mirror.downUntil <= now,
+        retryIn: mirror.downUntil > now ? Math.ceil((mirror.downUntil - now) / 1000) : 0,
+        consecutiveFailures: mirror.consecutiveFailures,
+        lastError: mirror.lastError,
+        lastFailureAt: mirror.lastFailureAt,
+        lastOkAt: mirror.lastOkAt,
+        ...mirror.stats
+      }))
+    }]));
+  }
+
+  return { candidates, getActive, owns, onMirror, reportOk, reportFailure, getStats };
+}
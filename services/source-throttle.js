@@ -0,0 +1,170 @@
+import { sourceError } from './source-errors.js';
+
+// Per-source politeness
+//
+// Every page load against a source goes through run(sourceId, fn), which
+// takes a token from the source's bucket (refilled at requestsPerMinute, up to
+// `burst`) and one of its maxConcurrentPages slots. A caller waits for a token
+// or slot for at most maxWaitMs; beyond that run() fails with a
+// SOURCE_THROTTLED error carrying `retryAfter` (seconds). After a 429, a block
+// or an outage (reportBlocked) the source is left alone and run() fails with
+// the same error code until the backoff ends. Backoff doubles on each
+// consecutive block, from backoffBase up to backoffMax, and resets after a
+// clean load.
+
+// Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createSourceThrottle({
+  requestsPerMinute = 30,
+  burst = 5,
+  maxConcurrentPages = 2,
+  maxWaitMs = 15000,
+  backoffBase = 30000,
+  backoffMax = 900000,
+  overrides = {}
+} = {}) {
+  const states = new Map();
+
+  function getState(sourceId) {
+    if (!states.has(sourceId)) {
+      const limits = { requestsPerMinute, burst, maxConcurrentPages, maxWaitMs, backoffBase, backoffMax, ...overrides[sourceId] };
+      states.set(sourceId, {
+        limits,
+        tokens: limits.burst,
+        refilledAt: Date.now(),
+        active: 0,
+        waiters: [],
+        blockedUntil: 0,
+        blockCode: null,
+        blockReason: null,
+        consecutiveBlocks: 0,
+        stats: { pages: 0, waited: 0, throttled: 0, blocks: 0 }
+      });
+    }
+    return states.get(sourceId);
+  }
+
+  function refill(state) {
+    const now = Date.now();
+    const perMs = state.limits.requestsPerMinute / 60000;
+    state.tokens = Math.min(state.limits.burst, state.tokens + (now - state.refilledAt) * perMs);
+    state.refilledAt = now;
+  }
+
+  function checkBackoff(sourceId, state) {
+    const remaining = state.blockedUntil - Date.now();
+    if (remaining > 0) {
+      state.stats.throttled++;
+      const error = sourceError(state.blockCode, sourceId, state.blockReason, { retryAfterMs: remaining });
+      error.backingOff = true;
+      throw error;
+    }
+  }
+
+  // Reserve a token, waiting for the refill if it comes within maxWaitMs
+  async function takeToken(sourceId, state) {
+    refill(state);
+    const waitMs = state.tokens >= 1 ? 0 : (1 - state.tokens) / (state.limits.requestsPerMinute / 60000);
+    if (waitMs > state.limits.maxWaitMs) {
+      state.stats.throttled++;
+      throw sourceError('SOURCE_THROTTLED', sourceId, 'rate limit', { retryAfterMs: waitMs });
+    }
+
+    // Tokens may go negative so waiting callers queue up behind each other
+    state.tokens -= 1;
+    if (waitMs > 0) {
+      state.stats.waited++;
+      await sleep(waitMs);
+    }
+  }
+
+  // Wait for a page slot; the slot is handed over directly on release
+  function takeSlot(sourceId, state) {
+    if (state.active < state.limits.maxConcurrentPages) {
+      state.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        state.waiters.splice(state.waiters.indexOf(waiter), 1);
+        state.stats.throttled++;
+        reject(sourceError('SOURCE_THROTTLED', sourceId, 'too many concurrent pages', { retryAfterMs: state.limits.maxWaitMs }));
+      }, state.limits.maxWaitMs);
+      state.waiters.push(waiter);
+    });
+  }
+
+  function releaseSlot(state) {
+    const waiter = state.waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    } else {
+      state.active--;
+    }
+  }
+
+  // Run fn() as one page load against the source
+  async function run(sourceId, fn) {
+    const state = getState(sourceId);
+    checkBackoff(sourceId, state);
+    await takeToken(sourceId, state);
+    await takeSlot(sourceId, state);
+
+    try {
+      // The source may have started backing off while we waited
+      checkBackoff(sourceId, state);
+      state.stats.pages++;
+      return await fn();
+    } finally {
+      releaseSlot(state);
+    }
+  }
+
+  // Back off after a 429, block or outage; returns the error to throw
+  function reportBlocked(sourceId, { code = 'SOURCE_THROTTLED', reason, retryAfterMs = null } = {}) {
+    const state = getState(sourceId);
+    const backoffMs = retryAfterMs ?? Math.min(state.limits.backoffMax, state.limits.backoffBase * 2 ** state.consecutiveBlocks);
+    state.consecutiveBlocks++;
+    state.stats.blocks++;
+    state.blockedUntil = Math.max(state.blockedUntil, Date.now() + backoffMs);
+    state.blockCode = code;
+    state.blockReason = reason;
+    console.log(`🐢 [SourceThrottle] Backing off ${sourceId} for ${Math.ceil(backoffMs / 1000)}s (${reason})`);
+    return sourceError(code, sourceId, reason, { retryAfterMs: state.blockedUntil - Date.now() });
+  }
+
+  function reportOk(sourceId) {
+    getState(sourceId).consecutiveBlocks = 0;
+  }
+
+  function getStats() {
+    return Object.fromEntries([...states.entries()].map(([sourceId, state]) => {
+      refill(state);
+      const backoffRemaining = Math.max(0, state.blockedUntil - Date.now());
+      return [sourceId, {
+        ...state.limits,
+        tokens: Math.round(state.tokens * 100) / 100,
+        activePages: state.active,
+        queued: state.waiters.length,
+        backingOff: backoffRemaining > 0,
+        retryAfter: backoffRemaining > 0 ? Math.ceil(backoffRemaining / 1000) : 0,
+        blockCode: backoffRemaining > 0 ? state.blockCode : null,
+        blockReason: backoffRemaining > 0 ? state.blockReason : null,
+        ...state.stats
+      }];
+    }));
+  }
+
+  return { run, reportBlocked, reportOk, getStats };
+}
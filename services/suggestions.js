@@ -0,0 +1,137 @@
+import { normalizeText, normalizeAuthor } from './federated-search.js';
+
+// In-memory autocomplete index
+//
+// Fed with the books of recent search results and with the queries people
+// searched for, so suggestions can be answered from memory without touching a
+// browser. Both lists are bounded; the least recently seen titles and the
+// least popular queries are dropped first.
+export function createSuggestionIndex({ maxTitles = 2000, maxQueries = 1000 } = {}) {
+  // normalized text -> { text, type, lastSeen }; Map order is recency order
+  const titles = new Map();
+  // normalized query -> { text, count, lastSeen }
+  const queries = new Map();
+
+  function touch(map, key, entry) {
+    map.delete(key);
+    map.set(key, entry);
+  }
+
+  // Remember titles and authors from search results
+  function addBooks(books) {
+    const now = Date.now();
+    for (const book of books) {
+      const title = (book.title || '').trim();
+      if (title) touch(titles, `title:${normalizeText(title)}`, { text: title, type: 'title', lastSeen: now });
+
+      const author = (book.author || '').trim();
+      if (normalizeAuthor(author)) touch(titles, `author:${normalizeText(author)}`, { text: author, type: 'author', lastSeen: now });
+    }
+
+    while (titles.size > maxTitles) {
+      titles.delete(titles.keys().next().value);
+    }
+  }
+
+  // Count a query that returned results
+  function recordQuery(query) {
+    const key = normalizeText(query);
+    if (!key) return;
+
+    const existing = queries.get(key);
+    queries.set(key, {
+      text: existing?.text || query.trim(),
+      count: (existing?.count || 0) + 1,
+      lastSeen: Date.now()
+    });
+
+    if (queries.size > maxQueries) {
+      const [leastPopular] = [...queries.entries()].sort((a, b) => a[1].count - b[1].count || a[1].lastSeen - b[1].lastSeen)[0];
+      queries.delete(leastPopular);
+    }
+  }
+
+  // Prefix match at the start of the text or of any word in it
+  function matches(text, prefix) {
+    const normalized = normalizeText(text);
+    return normalized.startsWith(prefix) || normalized.includes(` ${prefix}`);
+  }
+
+  // Popular queries first, then recent titles and authors
+  function suggest(prefix, { limit = 10 } = {}) {
+    const normalizedPrefix = normalizeText(prefix);
+    if (!normalizedPrefix) return [];
+
+    const popular = [...queries.values()]
+      .filter(entry => matches(entry.text, normalizedPrefix))
+      .sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen)
+      .slice(0, limit)
+      .map(entry => ({ text: entry.text, type: 'query', source: 'popular', count: entry.count }));
+
+    const recent = [];
+    for (const entry of [...titles.values()].reverse()) {
+      if (recent.length >= limit) break;
+      if (matches(entry.text, normalizedPrefix)) {
+        recent.push({ text: entry.text, type: entry.type, source: 'recent' });
+      }
+    }
+
+    return [...popular, ...recent];
+  }
+
+  function getStats() {
+    return { titles: titles.size, queries: queries.size, maxTitles, maxQueries };
+  }
+
+  return { addBooks, recordQuery, suggest, getStats };
+}
+
+// Suggestions for the autocomplete endpoint: popular queries, then library
+// titles and authors from `libraryLookup(prefix, { limit })`, then recent
+// ones, with duplicates merged: { suggestions, partial }. The library lookup
+// gets `libraryTimeout` ms; if it fails or is slower it is left out and
+// `partial` is set, so the answer never waits on the database.
+export async function collectSuggestions(index, query, { limit = 8, libraryLookup, libraryTimeout = 75 } = {}) {
+  let timer;
+  const library = await Promise.race([
+    Promise.resolve()
+      .then(() => libraryLookup(query, { limit }))
+      .then(suggestions => ({ suggestions }))
+      .catch(error => ({ suggestions: [], error })),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ suggestions: [], timedOut: true }), libraryTimeout);
+    })
+  ]);
+  clearTimeout(timer);
+
+  if (library.error) {
+    console.error('⚠️ Library suggestions failed:', library.error.message);
+  }
+
+  const fromIndex = index.suggest(query, { limit });
+  const popular = fromIndex.filter(suggestion => suggestion.source === 'popular');
+  const recent = fromIndex.filter(suggestion => suggestion.source === 'recent');
+
+  // Merge duplicates, keeping every place a suggestion came from
+  const merged = new Map();
+  for (const suggestion of [...popular, ...library.suggestions, ...recent]) {
+    const key = suggestion.text.toLowerCase();
+    const existing = merged.get(key);
+    if (existing) {
+      if (!existing.sources.includes(suggestion.source)) existing.sources.push(suggestion.source);
+    } else {
+      merged.set(key, {
+        text: suggestion.text,
+        type: suggestion.type,
+        sources: [suggestion.source],
+        ...(suggestion.count && { count: suggestion.count })
+      });
+    }
+  }
+
+  return {
+    suggestions: [...merged.values()].slice(0, limit),
+    // The library lookup failed or was too slow and was left out
+    partial: !!(library.error || library.timedOut)
+  };
+}
@@ -0,0 +1,360 @@
+import { getSelectors } from './selector-profiles.js';
+import { openPage } from './page-loader.js';
+
+// Anna's Archive source adapter
+// Selectors live in selectors/annas-archive.json
+const BASE_URL = 'https://annas-archive.org';
+const SOURCE_ID = 'annas-archive';
+
+// Build the search URL for one of the site's own result pages; format and
+// language filters map onto the site's `ext` and `lang` params, and a sort
+// (see capabilities.sort) onto `sort`
+function buildSearchUrl(baseUrl, query, pageNumber, filters = {}, sort = null) {
+  const params = new URLSearchParams({ q: query });
+  (filters.format || []).forEach(format => params.append('ext', format));
+  (filters.language || []).forEach(language => params.append('lang', language));
+  if (sort) params.set('sort', sort);
+  if (pageNumber > 1) params.set('page', pageNumber);
+  return `${baseUrl}/search?${params}`;
+}
+
+// Read the books and the pager from a search result page. Runs in the page
+// or against parsed HTML (see page-loader.js), so it must be self-contained;
+// the raw file info and publisher lines are parsed outside the page.
+function extractListing({ pageUrl, pageNumber, selectors }, doc = document) {
+  const results = [];
+
+  // Anna's Archive uses different selectors - look for search result items
+  doc.querySelectorAll(selectors.resultLink).forEach((linkElement) => {
+    try {
+      const href = linkElement.getAttribute('href');
+      if (!href || !href.includes('/md5/')) return;
+
+      // Get the parent container that has the book info
+      const container = linkElement.closest(selectors.resultContainer);
+      if (!container) return;
+
+      // Extract title from the link text or nearby elements
+      const titleElement = linkElement.querySelector(selectors.resultTitle) || linkElement;
+      const title = titleElement.textContent?.trim();
+      if (!title) return;
+
+      const lineText = element => (element?.textContent || '').replace(/\s+/g, ' ').trim();
+
+      // The file line, e.g. "English [en], .epub, lgli/zlib, 2.1MB, 📘 Book (non-fiction), name.epub"
+      const fileInfo = lineText(container.querySelector(selectors.resultFileInfo));
+      const metadataText = fileInfo || container.textContent || '';
+
+      // Extract format from common patterns
+      const formatMatch = metadataText.match(/\.(pdf|epub|mobi|azw3|djvu|fb2|txt|doc|docx|cbr|cbz)\b/i);
+      const format = formatMatch ? formatMatch[1].toLowerCase() : 'pdf';
+
+      // Byline lines under the title: the publisher line, then the author
+      const bylines = [...container.querySelectorAll(selectors.resultAuthor)].map(lineText).filter(Boolean);
+      const author = (bylines.length > 0 ? bylines[bylines.length - 1] : '').replace(/^by\s+/i, '') || 'Unknown Author';
+      const publisherLine = bylines.length > 1 ? bylines[bylines.length - 2] : '';
+
+      // Extract year if available, preferring the publisher line
+      const yearMatch = publisherLine.match(/\b(19|20)\d{2}\b/) || (container.textContent || '').match(/\b(19|20)\d{2}\b/);
+      const year = yearMatch ? yearMatch[0] : '';
+
+      // Extract language code (e.g. "English [en]")
+      const languageMatch = metadataText.match(/\[([a-z]{2,3})\]/);
+      const language = languageMatch ? languageMatch[1] : '';
+
+      results.push({
+        title,
+        author,
+        format,
+        date: year,
+        language,
+        fileInfo,
+        publisherLine,
+        bookUrl: new URL(href, pageUrl).href,
+        coverImageUrl: '', // Anna's Archive doesn't always have cover images in search
+        source: 'annas-archive'
+      });
+    } catch (error) {
+      console.error('Error parsing Anna\'s Archive result:', error);
+    }
+  });
+
+  // Anna's Archive reports the result count (e.g. "(1,234 total)" or "(100+ total)")
+  // and renders numbered page links
+  const bodyText = doc.body?.textContent || '';
+  const totalMatch = bodyText.match(/\(([\d,]+)(\+?)\s*total\)/i);
+  const pageNumbers = [...doc.querySelectorAll(selectors.pagerLink)]
+    .map(link => parseInt(new URL(link.getAttribute('href'), pageUrl).searchParams.get('page'), 10))
+    .filter(number => !Number.isNaN(number));
+  const lastPage = pageNumbers.length > 0 ? Math.max(...pageNumbers) : null;
+
+  return {
+    books: results,
+    total: totalMatch ? parseInt(totalMatch[1].replace(/,/g, ''), 10) : null,
+    totalIsEstimate: totalMatch ? totalMatch[2] === '+' : false,
+    totalPages: lastPage ? Math.max(lastPage, pageNumber) : null,
+    hasMore: lastPage !== null && lastPage > pageNumber
+  };
+}
+
+// Anna's Archive search function
+// Returns one upstream result page: { books, pageNumber, hasMore, total, totalPages }
+async function search({ page: searchPage, query, baseUrl = BASE_URL, pageNumber = 1, filters = {}, sort = null }) {
+  try {
+    // Navigate to Anna's Archive search
+    const searchUrl = buildSearchUrl(baseUrl, query, pageNumber, filters, sort);
+    console.log('🔄 Navigating to Anna\'s Archive search URL:', searchUrl);
+    const loaded = await openPage(searchPage, searchUrl);
+    console.log('✅ Anna\'s Archive search page loaded');
+
+    const { books: listed, ...pagination } = await loaded.run(extractListing, {
+      pageUrl: loaded.url,
+      pageNumber,
+      selectors: getSelectors(SOURCE_ID, 'search')
+    });
+    const books = listed.map(({ fileInfo, publisherLine, ...book }) => toListingBook(book, fileInfo, publisherLine));
+
+    console.log(`📚 Anna's Archive books found on page ${pageNumber}:`, books.length);
+
+    return {
+      books,
+      pageNumber,
+      ...pagination,
+      // An open-ended "100+ total" means there is at least one more page
+      hasMore: pagination.hasMore || pagination.totalIsEstimate
+    };
+  } catch (error) {
+    console.error('❌ Anna\'s Archive search error:', error);
+    return { books: [], pageNumber, hasMore: false, total: null, totalPages: null };
+  }
+}
+
+// Convert "2.1MB" style sizes to bytes
+function parseFileSize(text) {
+  const match = (text || '').match(/([\d.]+)\s*(B|KB|MB|GB)\b/i);
+  if (!match) return null;
+  const multipliers = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+  return Math.round(parseFloat(match[1]) * multipliers[match[2].toUpperCase()]);
+}
+
+// Parse the file line, e.g. "English [en], .epub, lgli/zlib, 2.1MB, Book (non-fiction)"
+function parseFileInfo(text) {
+  const languageMatch = (text || '').match(/([A-Za-z][\w\s-]*?)\s*\[([a-z]{2,3})\]/);
+  const formatMatch = (text || '').match(/(?:^|,\s*)\.?(pdf|epub|mobi|azw3|djvu|fb2|txt|doc|docx|cbr|cbz)\b/i);
+  return {
+    language: languageMatch ? languageMatch[1].trim() : null,
+    languageCode: languageMatch ? languageMatch[2] : null,
+    format: formatMatch ? formatMatch[1].toLowerCase() : null,
+    fileSize: parseFileSize(text)
+  };
+}
+
+// Parse the publisher line, e.g. "No Starch Press, 3rd edition, 2018"
+function parsePublisherLine(text) {
+  const parts = (text || '').split(/[,;]/).map(part => part.trim()).filter(Boolean);
+  const edition = parts.find(part => /\bed(ition|\.)|\b\d+(st|nd|rd|th)\b/i.test(part)) || null;
+  const year = parts.map(part => part.match(/\b(1[5-9]|20)\d{2}\b/)?.[0]).find(Boolean);
+  const publisher = parts.find(part => part !== edition && !/^\d{4}$/.test(part)) || null;
+  return { publisher, edition, year: year ? parseInt(year, 10) : null };
+}
+
+// The content type from the file line, e.g. "📘 Book (non-fiction)" or "💬 Comic book"
+function parseCategory(text) {
+  const match = (text || '').match(/\b(Book \((?:non-fiction|fiction|unknown)\)|Comic book|Magazine|Journal article|Standards document|Musical score)/i);
+  return match ? match[1] : null;
+}
+
+// A listing book with its category and the details the listing shows; ISBNs,
+// page count and mirrors are only on the md5 page
+function toListingBook(book, fileInfo, publisherLine) {
+  const { language, languageCode, fileSize } = parseFileInfo(fileInfo);
+  const { publisher, edition, year } = parsePublisherLine(publisherLine);
+  return {
+    ...book,
+    category: parseCategory(fileInfo),
+    details: {
+      title: book.title,
+      author: book.author === 'Unknown Author' ? null : book.author,
+      publisher,
+      edition,
+      year: year || (book.date ? parseInt(book.date, 10) : null),
+      language,
+      languageCode,
+      format: book.format,
+      fileSize,
+      isbns: [],
+      pageCount: null,
+      mirrors: []
+    }
+  };
+}
+
+// ISBN-13s and ISBN-10s mentioned on the page, without hyphens
+function parseIsbns(text) {
+  const isbns = new Set();
+  for (const match of (text || '').matchAll(/\b97[89](?:-?\d){10}\b/g)) {
+    isbns.add(match[0].replace(/-/g, ''));
+  }
+  for (const match of (text || '').matchAll(/ISBN-?10\D{0,5}((?:\d-?){9}[\dX])\b/gi)) {
+    isbns.add(match[1].replace(/-/g, '').toUpperCase());
+  }
+  return [...isbns];
+}
+
+function parsePageCount(text) {
+  const match = (text || '').match(/\b(\d{1,5})\s*(?:pages|pp\.)|\bpages?:\s*(\d{1,5})\b/i);
+  return match ? parseInt(match[1] || match[2], 10) : null;
+}
+
+// Classify a mirror link by where it points
+function classifyMirror(url, label) {
+  const target = `${url} ${label}`.toLowerCase();
+  if (target.includes('/fast_download/')) return 'fast_partner';
+  if (target.includes('/slow_download/')) return 'slow_partner';
+  if (target.includes('libgen')) return 'libgen';
+  if (/z-?lib/.test(target)) return 'zlib';
+  if (target.includes('ipfs')) return 'ipfs';
+  if (target.includes('sci-hub')) return 'scihub';
+  if (target.includes('torrent')) return 'torrent';
+  return 'external';
+}
+
+// Read the download links, cover and raw detail fields from an md5 page
+// (self-contained, see extractListing); the details are parsed outside the page
+function extractBookPage({ pageUrl, selectors }, doc = document) {
+  // Look for download links - Anna's Archive typically has multiple download options
+  const downloadLinks = doc.querySelectorAll(selectors.downloadLink);
+  let downloadUrl = '';
+
+  // Prefer direct download links
+  for (const link of downloadLinks) {
+    const href = link.getAttribute('href');
+    if (href && (href.includes('libgen') || href.includes('sci-hub') || href.includes('download'))) {
+      downloadUrl = new URL(href, pageUrl).href;
+      break;
+    }
+  }
+
+  // If no direct download found, look for the first available download link
+  if (!downloadUrl && downloadLinks.length > 0) {
+    const href = downloadLinks[0].getAttribute('href');
+    if (href) {
+      downloadUrl = new URL(href, pageUrl).href;
+    }
+  }
+
+  // Look for cover image
+  const coverImg = doc.querySelector(selectors.cover);
+  const coverImageUrl = coverImg ? coverImg.getAttribute('src') : '';
+
+  const text = selector => doc.querySelector(selector)?.textContent?.replace(/\s+/g, ' ').trim() || '';
+  const mirrors = [...doc.querySelectorAll(selectors.mirrorLink)]
+    .filter(link => link.getAttribute('href'))
+    .map(link => ({
+      url: new URL(link.getAttribute('href'), pageUrl).href,
+      label: link.textContent.replace(/\s+/g, ' ').trim()
+    }));
+
+  return {
+    downloadUrl,
+    coverImageUrl: coverImageUrl && coverImageUrl.startsWith('http') ? coverImageUrl : '',
+    raw: {
+      pageTitle: doc.title.replace(/\s*-\s*Anna.*$/, '').trim(),
+      title: text(selectors.title),
+      author: text(selectors.author),
+      publisherLine: text(selectors.publisher),
+      fileInfo: text(selectors.fileInfo),
+      bodyText: (doc.body?.textContent || '').replace(/\s+/g, ' ').slice(0, 50000),
+      mirrors
+    }
+  };
+}
+
+// Load an md5 page: { downloadUrl, coverImageUrl, details, pageTitle }
+async function readBookPage(page, bookUrl) {
+  console.log('📖 Navigating to Anna\'s Archive book page:', bookUrl);
+  const loaded = await openPage(page, bookUrl);
+
+  const { downloadUrl, coverImageUrl, raw } = await loaded.run(extractBookPage, {
+    pageUrl: loaded.url,
+    selectors: getSelectors(SOURCE_ID, 'book')
+  });
+
+  const mirrors = [...new Map(raw.mirrors.map(mirror => [mirror.url, {
+    ...mirror,
+    type: classifyMirror(mirror.url, mirror.label)
+  }])).values()];
+
+  return {
+    downloadUrl,
+    coverImageUrl,
+    pageTitle: raw.pageTitle,
+    details: {
+      title: raw.title || null,
+      author: raw.author || null,
+      ...parsePublisherLine(raw.publisherLine),
+      ...parseFileInfo(raw.fileInfo),
+      isbns: parseIsbns(raw.bodyText),
+      pageCount: parsePageCount(raw.bodyText),
+      mirrors
+    }
+  };
+}
+
+// Get download URL, cover and book details from an Anna's Archive md5 page
+async function resolveDownloadUrl(page, bookUrl) {
+  try {
+    const { pageTitle, ...result } = await readBookPage(page, bookUrl);
+    return result;
+  } catch (error) {
+    console.error('❌ Failed to get Anna\'s Archive download URL:', error);
+    return { downloadUrl: '', coverImageUrl: '' };
+  }
+}
+
+// Get title, author, cover, download URL and details from an Anna's Archive md5 page
+async function fetchMetadata(page, bookUrl) {
+  const { downloadUrl, coverImageUrl, details, pageTitle } = await readBookPage(page, bookUrl);
+
+  return {
+    title: details.title || pageTitle,
+    author: details.author || '',
+    bookUrl,
+    downloadUrl,
+    coverImageUrl,
+    details,
+    source: SOURCE_ID
+  };
+}
+
+export default {
+  id: SOURCE_ID,
+  name: 'Anna\'s Archive',
+  baseUrl: BASE_URL,
+  mirrors: ['https://annas-archive.li', 'https://annas-archive.se'],
+  capabilities: {
+    search: true,
+    downloadUrl: true,
+    metadata: true,
+    coverImages: false,
+    details: true,
+    // Server-rendered pages that can be read without a browser
+    http: ['search', 'book'],
+    filters: {
+      format: 'url',
+      language: 'url',
+      yearFrom: 'listing',
+      yearTo: 'listing',
+      category: 'listing',
+      author: 'listing'
+    },
+    // API sort options the site applies across its own result pages, with
+    // its `sort` value (publication year, newest first)
+    sort: {
+      date: 'newest'
+    }
+  },
+  search,
+  resolveDownloadUrl,
+  fetchMetadata
+};
@@ -0,0 +1,235 @@
+import { getSelectors } from './selector-profiles.js';
+import { openPage } from './page-loader.js';
+
+// ebook-hunter.org source adapter
+// Selectors live in selectors/ebook-hunter.json
+const BASE_URL = 'https://ebook-hunter.org';
+const SOURCE_ID = 'ebook-hunter';
+
+// Function to extract cover image URL
+function extractCoverImageUrl(bookUrl, existingImageUrl) {
+  // If we already have a valid image URL, use it
+  if (existingImageUrl && existingImageUrl.startsWith('http')) {
+    return existingImageUrl;
+  }
+
+  // Extract book identifier from URL
+  const bookIdMatch = bookUrl.match(/\/([^/]+)\/$/);
+  if (!bookIdMatch) return '';
+  const bookId = bookIdMatch[1];
+
+  // Construct image URL based on the pattern
+  return `https://img.ebook-hunter.org/img/${bookId}_small.jpg`;
+}
+
+// Build the search URL for one of the site's own result pages
+function buildSearchUrl(baseUrl, query, pageNumber) {
+  const searchUrl = `${baseUrl}/search/?keyword=${encodeURIComponent(query)}`;
+  return pageNumber > 1 ? `${searchUrl}&page=${pageNumber}` : searchUrl;
+}
+
+// Read the books and the pager from a search result page. Runs in the page
+// or against parsed HTML (see page-loader.js), so it must be self-contained.
+function extractListing({ pageUrl, pageNumber, selectors }, doc = document) {
+  // Remove any overlay that might have appeared
+  const adOverlay = doc.querySelector(selectors.overlay);
+  if (adOverlay) {
+    adOverlay.remove();
+  }
+
+  // Find all book entries - they're in div.index_box containers
+  const results = [];
+
+  // Look for book entries that match the structure in the DOM
+  doc.querySelectorAll(selectors.resultItem).forEach((bookBox) => {
+    // Get the title element which contains the link and metadata
+    const titleElement = bookBox.querySelector(selectors.resultTitle);
+    if (!titleElement) return;
+
+    // Get the link element
+    const linkElement = titleElement.querySelector('a');
+    if (!linkElement || !linkElement.getAttribute('href')) return;
+
+    // Extract the cover image URL if it exists
+    const coverImageElement = bookBox.querySelector(selectors.resultCover);
+    const coverImageSrc = coverImageElement?.getAttribute('src') || '';
+    // Ensure we're getting the full URL, either already absolute or relative that we need to make absolute
+    const coverImageUrl = coverImageSrc.startsWith('http') ? coverImageSrc : coverImageSrc ? `https://img.ebook-hunter.org${coverImageSrc}` : '';
+
+    // Get the info element that contains metadata
+    const infoElement = bookBox.querySelector(selectors.resultInfo);
+    const infoText = infoElement?.textContent || '';
+
+    // Get the full text content for parsing
+    const fullText = infoText.trim();
+
+    // Parse the format (usually at the start, like "pdf |")
+    const formatMatch = fullText.match(/^(\w+)\s*\|/);
+    const format = formatMatch ? formatMatch[1].toLowerCase() : 'unknown';
+
+    // Parse the date (usually in YYYY-MM-DD format)
+    const dateMatch = fullText.match(/\|\s*(\d{4}-\d{2}-\d{2})/);
+    const date = dateMatch ? dateMatch[1] : '';
+
+    // Parse the author (usually after "Author:")
+    const authorMatch = fullText.match(/Author:\s*([^|)]+)/);
+    const author = authorMatch ? authorMatch[1].trim() : 'Unknown';
+
+    // Parse the category (usually in parentheses with "Category:" prefix)
+    const categoryMatch = fullText.match(/Category:\s*([^)]+)\)/);
+    const category = categoryMatch ? categoryMatch[1].trim() : '';
+
+    // Get the title from the link text
+    const title = linkElement.textContent?.trim();
+    if (!title) return; // Skip if no title found
+
+    results.push({
+      title,
+      author,
+      format,
+      date,
+      category,
+      bookUrl: new URL(linkElement.getAttribute('href'), pageUrl).href,
+      coverImageUrl,
+      source: 'ebook-hunter'
+    });
+  });
+
+  // Read the pager to know whether the site has more result pages
+  const pagerLinks = [...doc.querySelectorAll(selectors.pagerLink)];
+  const pageNumbers = pagerLinks
+    .map(link => parseInt(link.textContent.trim(), 10))
+    .filter(number => !Number.isNaN(number));
+  const nextLink = pagerLinks.find(link => /next|»|>/i.test(link.textContent.trim()));
+  const lastPage = pageNumbers.length > 0 ? Math.max(...pageNumbers) : null;
+
+  return {
+    books: results,
+    totalPages: lastPage ? Math.max(lastPage, pageNumber) : null,
+    hasMore: !!nextLink || (lastPage !== null && lastPage > pageNumber)
+  };
+}
+
+// Existing ebook-hunter.org search function (extracted from original logic)
+// Returns one upstream result page: { books, pageNumber, hasMore, total, totalPages }
+async function search({ page: searchPage, query, baseUrl = BASE_URL, pageNumber = 1 }) {
+  // Navigate directly to search URL
+  const searchUrl = buildSearchUrl(baseUrl, query, pageNumber);
+  console.log('🔄 Navigating to ebook-hunter search URL:', searchUrl);
+  const loaded = await openPage(searchPage, searchUrl);
+  console.log('✅ Ebook-hunter search page loaded');
+
+  const listing = await loaded.run(extractListing, {
+    pageUrl: loaded.url,
+    pageNumber,
+    selectors: getSelectors(SOURCE_ID, 'search')
+  });
+
+  console.log(`📚 Ebook-hunter books found on page ${pageNumber}:`, listing.books.length);
+
+  return {
+    books: listing.books,
+    pageNumber,
+    hasMore: listing.hasMore,
+    total: null, // The site doesn't report a result count
+    totalPages: listing.totalPages
+  };
+}
+
+// Read the download link, cover and title from a book page (self-contained, see extractListing)
+function extractBookPage({ pageUrl, selectors }, doc = document) {
+  // Remove any overlay that might appear
+  const adOverlay = doc.querySelector(selectors.overlay);
+  if (adOverlay) adOverlay.remove();
+
+  // Look for the download link in the to-lock section
+  const downloadHref = doc.querySelector(selectors.downloadLink)?.getAttribute('href');
+
+  // Look for cover image
+  const coverImg = doc.querySelector(selectors.cover);
+  const coverSrc = coverImg?.getAttribute('src') || '';
+  // Format the image URL correctly based on the site's structure
+  const coverImageUrl = coverSrc.startsWith('http') ? coverSrc : coverSrc ? `https://img.ebook-hunter.org${coverSrc}` : '';
+
+  const heading = doc.querySelector(selectors.title);
+  return {
+    downloadUrl: downloadHref ? new URL(downloadHref, pageUrl).href : '',
+    coverImageUrl,
+    title: heading?.textContent?.trim() || doc.title.trim()
+  };
+}
+
+// Load a book page: { downloadUrl, coverImageUrl, title }
+async function readBookPage(page, bookUrl) {
+  console.log('📖 Navigating to book page:', bookUrl);
+  const loaded = await openPage(page, bookUrl);
+
+  const result = await loaded.run(extractBookPage, {
+    pageUrl: loaded.url,
+    selectors: getSelectors(SOURCE_ID, 'book')
+  });
+
+  if (!result.downloadUrl) {
+    console.log('❌ No download link found on book page');
+  }
+
+  // Fall back to the site's predictable cover path
+  return {
+    ...result,
+    coverImageUrl: extractCoverImageUrl(bookUrl, result.coverImageUrl)
+  };
+}
+
+// Function to get book download URL
+async function resolveDownloadUrl(page, bookUrl) {
+  try {
+    const { downloadUrl, coverImageUrl } = await readBookPage(page, bookUrl);
+    return { downloadUrl, coverImageUrl };
+  } catch (error) {
+    console.error('❌ Failed to get book download URL:', error);
+    return { downloadUrl: '', coverImageUrl: '' };
+  }
+}
+
+// Get title, cover and download URL from an ebook-hunter book page
+async function fetchMetadata(page, bookUrl) {
+  const { title, downloadUrl, coverImageUrl } = await readBookPage(page, bookUrl);
+
+  return {
+    title,
+    bookUrl,
+    downloadUrl,
+    coverImageUrl,
+    source: SOURCE_ID
+  };
+}
+
+export default {
+  id: SOURCE_ID,
+  name: 'eBook Hunter',
+  baseUrl: BASE_URL,
+  // A small site; every search opens up to one page per returned book
+  politeness: {
+    requestsPerMinute: 20,
+    maxConcurrentPages: 2
+  },
+  capabilities: {
+    search: true,
+    downloadUrl: true,
+    metadata: true,
+    coverImages: true,
+    // Server-rendered pages that can be read without a browser
+    http: ['search', 'book'],
+    // The site only searches by keyword, so filters apply to the listings
+    filters: {
+      format: 'listing',
+      yearFrom: 'listing',
+      yearTo: 'listing',
+      category: 'listing',
+      author: 'listing'
+    }
+  },
+  search,
+  resolveDownloadUrl,
+  fetchMetadata
+};
@@ -0,0 +1,125 @@
+import ebookHunter from './ebook-hunter.js';
+import annasArchive from './annas-archive.js';
+import { getSelectorProfile } from './selector-profiles.js';
+
+// Book source registry
+//
+// Each source is a self-contained adapter module exporting:
+//   id, name, baseUrl, capabilities,
+//   search({ page, context, query, baseUrl, pageNumber, filters })
+//     -> one upstream result page: { books, pageNumber, hasMore, total, totalPages }
+//        (listing metadata only; total/totalPages are null when the site doesn't say;
+//        `filters` holds the filters declared 'url' in capabilities.filters)
+//   resolveDownloadUrl(page, bookUrl) -> { downloadUrl, coverImageUrl }
+//   fetchMetadata(page, bookUrl) -> { title, bookUrl, downloadUrl, coverImageUrl, ... }
+// and optionally `politeness`: { requestsPerMinute, burst, maxConcurrentPages, ... }
+// overriding the default rate limits for the source (see source-throttle.js),
+// and `mirrors`: the site's other domains, in order of preference after
+// baseUrl (see source-mirrors.js).
+//
+// Each source's CSS selectors live in a selector profile (see selector-profiles.js).
+//
+// Sources are enabled/disabled with BOOK_SOURCES_ENABLED / BOOK_SOURCES_DISABLED
+// (comma-separated source ids) and the default is picked with DEFAULT_BOOK_SOURCE.
+// BOOK_SOURCE_MIRRORS_<ID> (e.g. BOOK_SOURCE_MIRRORS_ANNAS_ARCHIVE) replaces a
+// source's mirror list with comma-separated base URLs.
+const REQUIRED_METHODS = ['search', 'resolveDownloadUrl', 'fetchMetadata'];
+
+const registry = new Map();
+
+// Parse a comma-separated env var into a list of source ids
+function parseSourceList(value) {
+  return (value || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+const enabledList = parseSourceList(process.env.BOOK_SOURCES_ENABLED);
+const disabledList = parseSourceList(process.env.BOOK_SOURCES_DISABLED);
+
+// Register a source adapter, validating the required interface
+export function registerSource(adapter) {
+  if (!adapter || !adapter.id) {
+    throw new Error('Source adapter must have an id');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Source adapter "${adapter.id}" is missing: ${missing.join(', ')}`);
+  }
+
+  registry.set(adapter.id, {
+    name: adapter.id,
+    capabilities: {},
+    ...adapter
+  });
+}
+
+// Check whether a registered source is enabled by config
+export function isSourceEnabled(id) {
+  if (!registry.has(id)) return false;
+  if (disabledList.includes(id)) return false;
+  if (enabledList.length > 0) return enabledList.includes(id);
+  return true;
+}
+
+// Get an enabled source adapter by id (null if unknown or disabled)
+export function getSource(id) {
+  return isSourceEnabled(id) ? registry.get(id) : null;
+}
+
+// Ids of all enabled sources, in registration order
+export function getEnabledSourceIds() {
+  return [...registry.keys()].filter(isSourceEnabled);
+}
+
+// Default source, falling back to the first enabled one
+export function getDefaultSourceId() {
+  const preferred = process.env.DEFAULT_BOOK_SOURCE || 'ebook-hunter';
+  return isSourceEnabled(preferred) ? preferred : getEnabledSourceIds()[0] || null;
+}
+
+// Base URLs of the source's mirrors, most preferred first
+export function getSourceMirrors(id) {
+  const adapter = registry.get(id);
+  if (!adapter) return [];
+
+  const configured = process.env[`BOOK_SOURCE_MIRRORS_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+  const mirrors = configured
+    ? configured.split(',').map(url => url.trim()).filter(Boolean)
+    : [adapter.baseUrl, ...(adapter.mirrors || [])];
+  return [...new Set(mirrors.map(url => url.replace(/\/+$/, '')))];
+}
+
+// Check that a URL points at one of the source's own sites (e.g. before
+// navigating to a URL taken from a client-supplied result token)
+export function isSourceUrl(id, url) {
+  if (!getSource(id)) return false;
+
+  try {
+    const { hostname } = new URL(url);
+    return getSourceMirrors(id).some(mirror => new URL(mirror).hostname === hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Public description of every registered source
+export function listSources() {
+  const defaultSource = getDefaultSourceId();
+  return [...registry.values()].map(adapter => ({
+    id: adapter.id,
+    name: adapter.name,
+    baseUrl: adapter.baseUrl,
+    mirrors: getSourceMirrors(adapter.id),
+    enabled: isSourceEnabled(adapter.id),
+    default: adapter.id === defaultSource,
+    capabilities: adapter.capabilities,
+    selectorProfile: getSelectorProfile(adapter.id).version
+  }));
+}
+
+// Built-in sources
+registerSource(ebookHunter);
+registerSource(annasArchive);
@@ -0,0 +1,27 @@
+// Page loading shared by the source adapters
+//
+// Adapters read pages with extract functions that only use the standard DOM
+// (document.querySelectorAll, getAttribute, textContent, ...). openPage()
+// loads a URL into either a Playwright page or an HTTP page (see
+// services/http-page.js) and returns run(fn, args), which calls fn(args) in
+// the browser or fn(args, document) against the parsed HTML. Extract
+// functions are serialized into the browser, so they must not use anything
+// from outside their own body; take the document as `doc = document`.
+export async function openPage(page, url, { timeout = 30000 } = {}) {
+  if (page.mode === 'http') {
+    const { document, url: finalUrl } = await page.fetchDocument(url, { timeout });
+    return {
+      url: finalUrl,
+      run: async (fn, args = {}) => fn(args, document)
+    };
+  }
+
+  await page.goto(url, {
+    waitUntil: 'domcontentloaded',
+    timeout
+  });
+  return {
+    url: page.url(),
+    run: (fn, args = {}) => page.evaluate(fn, args)
+  };
+}
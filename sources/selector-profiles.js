@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Scraper selector profiles
+//
+// Each source's CSS selectors live in sources/selectors/<id>.json, grouped by
+// the page they apply to ("search", "book", ...), with a version, a canary
+// query for the self-check, a list of selectors that may legitimately
+// match nothing (e.g. ad overlays) and the phrases the site shows when a
+// search has no results (`noResultsText`), which tell an empty result from a
+// page the selectors no longer fit. A profile in SOURCE_SELECTORS_DIR
+// overrides the built-in one, so selectors can be fixed without a code change;
+// profiles are read on first use and again on reloadSelectorProfiles().
+const BUILT_IN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'selectors');
+
+const profiles = new Map();
+
+function readProfile(id) {
+  const overrideDir = process.env.SOURCE_SELECTORS_DIR;
+  const candidates = overrideDir
+    ? [path.join(overrideDir, `${id}.json`), path.join(BUILT_IN_DIR, `${id}.json`)]
+    : [path.join(BUILT_IN_DIR, `${id}.json`)];
+  const file = candidates.find(candidate => fs.existsSync(candidate));
+
+  if (!file) {
+    throw new Error(`No selector profile found for source "${id}"`);
+  }
+
+  const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!profile.search || typeof profile.search !== 'object') {
+    throw new Error(`Selector profile ${file} has no "search" selectors`);
+  }
+
+  // Normalized after the spread so a null or missing field gets its default
+  return {
+    ...profile,
+    version: profile.version ?? null,
+    updated: profile.updated ?? null,
+    canaryQuery: profile.canaryQuery || 'javascript',
+    optional: Array.isArray(profile.optional) ? profile.optional : [],
+    noResultsText: Array.isArray(profile.noResultsText) ? profile.noResultsText : [],
+    origin: file
+  };
+}
+
+// Selector profile for a source, loaded on first use
+export function getSelectorProfile(id) {
+  if (!profiles.has(id)) {
+    profiles.set(id, readProfile(id));
+    console.log(`🎯 Loaded ${id} selector profile v${profiles.get(id).version} from ${profiles.get(id).origin}`);
+  }
+  return profiles.get(id);
+}
+
+// Selectors for one page of a source, e.g. getSelectors('ebook-hunter', 'search')
+export function getSelectors(id, pageName) {
+  return getSelectorProfile(id)[pageName] || {};
+}
+
+// Re-read profiles from disk; a profile that fails to load keeps the previous version
+export function reloadSelectorProfiles() {
+  const results = [];
+  for (const id of profiles.keys()) {
+    try {
+      profiles.set(id, readProfile(id));
+      results.push({ id, status: 'ok', version: profiles.get(id).version, origin: profiles.get(id).origin });
+    } catch (error) {
+      console.error(`❌ Failed to reload ${id} selector profile:`, error.message);
+      results.push({ id, status: 'error', error: error.message });
+    }
+  }
+  return results;
+}
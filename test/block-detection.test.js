@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPage, saysNoResults } from '../services/block-detection.js';
+
+const page = (overrides = {}) => ({
+  title: 'Search: javascript - eBook Hunter',
+  text: 'Learning JavaScript, 3rd Edition\nepub | 2023-02-01',
+  challengeForm: false,
+  captcha: false,
+  passwordField: false,
+  ...overrides
+});
+
+describe('block page detection', () => {
+  it('passes normal pages', () => {
+    assert.equal(classifyPage(page(), { status: 200 }), null);
+  });
+
+  it('reports challenge pages and captchas as SOURCE_BLOCKED', () => {
+    assert.equal(classifyPage(page({ title: 'Just a moment...' }), { status: 403 }).code, 'SOURCE_BLOCKED');
+    assert.equal(classifyPage(page({ challengeForm: true }), { status: 503 }).reason, 'challenge page');
+    assert.equal(classifyPage(page({ captcha: true })).reason, 'captcha');
+  });
+
+  it('reports login walls as SOURCE_BLOCKED', () => {
+    assert.deepEqual(
+      classifyPage(page({ title: 'Log in', text: 'Please log in to continue', passwordField: true })),
+      { code: 'SOURCE_BLOCKED', reason: 'login wall' }
+    );
+  });
+
+  it('reports server errors and maintenance pages as SOURCE_DOWN', () => {
+    assert.deepEqual(classifyPage(page(), { status: 502 }), { code: 'SOURCE_DOWN', reason: 'HTTP 502' });
+    assert.equal(classifyPage(page({ title: 'eBook Hunter', text: 'We are down for maintenance.' })).reason, 'maintenance page');
+  });
+
+  it('reports 429 responses as SOURCE_THROTTLED', () => {
+    assert.equal(classifyPage(page(), { status: 429 }).code, 'SOURCE_THROTTLED');
+  });
+
+  it('tells a "no results" page from an unreadable one', () => {
+    assert.equal(saysNoResults(page({ text: 'No files found.' }), ['No files found']), true);
+    assert.equal(saysNoResults(page({ text: '<div class="new-layout">...</div>' }), ['No files found']), false);
+  });
+});
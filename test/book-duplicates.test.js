@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBookByHash, groupDuplicateBooks } from '../services/book-duplicates.js';
+
+const HASH_A = 'a'.repeat(64);
+const HASH_B = 'b'.repeat(64);
+
+const row = (id, sha256, s3BucketId, createdAt) => ({
+  id,
+  title: `Book ${id}`,
+  author: 'Author',
+  format: 'epub',
+  download_url: `https://mirror.example.com/${id}`,
+  s3_bucket_id: s3BucketId,
+  s3_bucket_url: `https://storage.example.com/${s3BucketId}`,
+  file_size: 1000,
+  sha256,
+  created_at: createdAt
+});
+
+describe('book duplicates', () => {
+  it('groups books by file hash', () => {
+    const groups = groupDuplicateBooks([
+      row('3', HASH_A, 'a-copy.epub', '2026-10-03T00:00:00Z'),
+      row('1', HASH_A, 'a.epub', '2026-10-01T00:00:00Z'),
+      row('2', HASH_A, 'a.epub', '2026-10-02T00:00:00Z'),
+      row('4', HASH_B, 'b.epub', '2026-10-01T00:00:00Z'),
+      row('5', null, 'c.epub', '2026-10-01T00:00:00Z')
+    ]);
+
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].sha256, HASH_A);
+    assert.equal(groups[0].count, 3);
+    assert.equal(groups[0].storageObjects, 2);
+    assert.equal(groups[0].reclaimableBytes, 1000);
+    assert.deepEqual(groups[0].books.map(book => book.id), ['1', '2', '3']);
+  });
+
+  it('only looks up well-formed hashes', async () => {
+    const queries = [];
+    const supabase = {
+      pgClient: {
+        unsafe: async (query, params) => {
+          queries.push(params);
+          return [{ id: '1', title: 'Book 1', s3_bucket_id: 'a.epub', s3_bucket_url: 'https://storage.example.com/a.epub' }];
+        }
+      }
+    };
+
+    assert.equal(await findBookByHash(supabase, "x' OR 1=1"), null);
+    assert.equal((await findBookByHash(supabase, HASH_A)).s3_bucket_id, 'a.epub');
+    assert.deepEqual(queries, [[HASH_A]]);
+  });
+});
@@ -0,0 +1,85 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { bodyLength, parseContentDisposition, probeDownload, saveDownload } from '../services/direct-download.js';
+
+const book = Buffer.alloc(256 * 1024, 1);
+
+// A file host with a redirecting link, a named attachment and an interstitial page
+const server = http.createServer((req, res) => {
+  if (req.url === '/get/1') {
+    res.writeHead(302, { Location: '/files/book.pdf' });
+    res.end();
+  } else if (req.url === '/files/book.pdf') {
+    res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': book.length });
+    res.end(book);
+  } else if (req.url === '/fast/2') {
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': 'attachment; filename="book.epub"; filename*=UTF-8\'\'Caf%C3%A9.epub'
+    });
+    res.end('epub');
+  } else {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<html><body><a id="btn_download">Download</a></body></html>');
+  }
+});
+
+describe('direct downloads', () => {
+  let baseUrl;
+  let tempDir;
+  before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'direct-download-'));
+  });
+  after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('reads filenames from Content-Disposition', () => {
+    assert.equal(parseContentDisposition('attachment; filename="Clean Code.pdf"'), 'Clean Code.pdf');
+    assert.equal(parseContentDisposition('attachment; filename*=UTF-8\'\'%E4%B8%89%E4%BD%93.epub'), '三体.epub');
+    assert.equal(parseContentDisposition('inline'), null);
+  });
+
+  it('knows the length of an uncompressed body only', () => {
+    assert.equal(bodyLength(new Headers({ 'Content-Length': '1024' })), 1024);
+    assert.equal(bodyLength(new Headers({ 'Content-Length': '1024', 'Content-Encoding': 'gzip' })), null);
+    assert.equal(bodyLength(new Headers()), null);
+  });
+
+  it('leaves pages to the browser', async () => {
+    assert.equal(await probeDownload(`${baseUrl}/file/31065647/`), null);
+  });
+
+  it('follows redirects to the file and saves it', async () => {
+    const download = await probeDownload(`${baseUrl}/get/1`);
+    assert.equal(download.filename, 'book.pdf');
+    assert.equal(download.size, book.length);
+
+    const filePath = path.join(tempDir, 'book.pdf');
+    const progress = [];
+    const { bytes } = await saveDownload(download, filePath, { onProgress: report => progress.push(report.percent) });
+    assert.equal(bytes, book.length);
+    assert.equal(fs.statSync(filePath).size, book.length);
+    assert.equal(progress[progress.length - 1], 100);
+  });
+
+  it('prefers the encoded attachment filename', async () => {
+    const download = await probeDownload(`${baseUrl}/fast/2`);
+    assert.equal(download.filename, 'Café.epub');
+    await download.response.body.cancel();
+  });
+
+  it('stops at the size cap', async () => {
+    const download = await probeDownload(`${baseUrl}/files/book.pdf`);
+    const filePath = path.join(tempDir, 'too-large.pdf');
+    await assert.rejects(saveDownload(download, filePath, { maxBytes: 1024 }), { code: 'FILE_TOO_LARGE' });
+    assert.equal(fs.existsSync(filePath), false);
+  });
+});
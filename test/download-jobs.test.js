@@ -0,0 +1,136 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDownloadJobQueue, createFileJobStore } from '../services/download-jobs.js';
+
+const tempJobFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'download-jobs-')), 'jobs.json');
+
+// Poll until a job reaches a final status
+async function waitForJob(queue, id) {
+  for (let i = 0; i < 200; i++) {
+    const job = queue.get(id);
+    if (['completed', 'failed'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+describe('download jobs', () => {
+  // Keep the queue's progress logs out of the test output
+  const { log, error } = console;
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+  after(() => {
+    console.log = log;
+    console.error = error;
+  });
+
+  it('retries a failed download and records the error', async () => {
+    let calls = 0;
+    const queue = createDownloadJobQueue({
+      store: createFileJobStore(tempJobFile()),
+      worker: async () => {
+        calls++;
+        if (calls === 1) throw new Error('no download detected');
+        return { bookId: 'b1' };
+      },
+      retryDelayMs: 10
+    });
+    await queue.start();
+
+    const { job } = await queue.enqueue({ url: 'https://example.com/book' });
+    const duplicate = await queue.enqueue({ url: 'https://example.com/book' });
+    assert.equal(duplicate.duplicate, true);
+    assert.equal(duplicate.job.id, job.id);
+
+    const finished = await waitForJob(queue, job.id);
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.attempts, 2);
+    assert.deepEqual(finished.errors.map(error => error.message), ['no download detected']);
+    assert.deepEqual(finished.result, { bookId: 'b1' });
+  });
+
+  it('sends progress and the finished job to subscribers', async () => {
+    let release;
+    const queue = createDownloadJobQueue({
+      store: createFileJobStore(tempJobFile()),
+      worker: async (request, { onProgress }) => {
+        await new Promise(resolve => { release = resolve; });
+        onProgress({ phase: 'downloading', percent: 100, bytes: 2048 });
+        onProgress({ phase: 'inserting' });
+        return { bookId: 'b3' };
+      }
+    });
+    await queue.start();
+
+    const { job } = await queue.enqueue({ url: 'https://example.com/progress' });
+    const events = [];
+    queue.subscribe(job.id, (event, data) => events.push([event, data]));
+    while (!release) await new Promise(resolve => setTimeout(resolve, 5));
+    release();
+    await waitForJob(queue, job.id);
+
+    assert.deepEqual(events.map(([event]) => event), ['status', 'progress', 'progress', 'status', 'done']);
+    assert.equal(events[0][1].status, 'running');
+    assert.equal(events[1][1].percent, 100);
+    assert.equal(events[2][1].percent, null);
+    assert.equal(events[4][1].result.bookId, 'b3');
+    assert.equal(queue.get(job.id).progress.phase, 'inserting');
+    assert.equal(queue.subscribe(job.id, () => {}), null);
+  });
+
+  it('fails straight away on a non-retryable error', async () => {
+    const queue = createDownloadJobQueue({
+      store: createFileJobStore(tempJobFile()),
+      worker: async () => {
+        throw Object.assign(new Error('Not a book'), { retryable: false });
+      },
+      retryDelayMs: 10
+    });
+    await queue.start();
+
+    const { job } = await queue.enqueue({ url: 'https://example.com/page' });
+    const finished = await waitForJob(queue, job.id);
+    assert.equal(finished.status, 'failed');
+    assert.equal(finished.attempts, 1);
+  });
+
+  it('resumes jobs interrupted by a restart', async () => {
+    const filePath = tempJobFile();
+    const now = new Date().toISOString();
+    fs.writeFileSync(filePath, JSON.stringify([{
+      id: '6f1c2a1e-3b7d-4c55-9a0e-2f8d1b7c9e41',
+      status: 'running',
+      request: { url: 'https://example.com/book' },
+      attempts: 1,
+      maxAttempts: 3,
+      errors: [],
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: now,
+      finishedAt: null,
+      nextAttemptAt: null
+    }]));
+
+    const queue = createDownloadJobQueue({
+      store: createFileJobStore(filePath),
+      worker: async request => ({ bookId: 'b2', url: request.url })
+    });
+    await queue.start();
+
+    const finished = await waitForJob(queue, '6f1c2a1e-3b7d-4c55-9a0e-2f8d1b7c9e41');
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.attempts, 2);
+    assert.equal(finished.errors[0].message, 'Interrupted by a server restart');
+
+    // Wait for the final write, then check it reached the file
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.equal(saved[0].status, 'completed');
+  });
+});
@@ -0,0 +1,81 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { checkDownloadUrl, getDownloadStrategy } from '../downloads/index.js';
+import libgen from '../downloads/libgen.js';
+import { probeDownload, saveDownload } from '../services/direct-download.js';
+
+// A libgen-style mirror: an ads page whose GET link serves the file
+const server = http.createServer((req, res) => {
+  if (req.url.startsWith('/ads.php')) {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><body><table><tr><td><a href="get.php?md5=abc&amp;key=K3Y"><h2>GET</h2></a></td></tr></table></body></html>');
+  } else if (req.url === '/get.php?md5=abc&key=K3Y') {
+    res.writeHead(200, { 'Content-Type': 'application/epub+zip', 'Content-Disposition': 'attachment; filename="book.epub"' });
+    res.end('PK epub');
+  } else {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><body>Nothing to download here</body></html>');
+  }
+});
+
+describe('download strategies', () => {
+  let baseUrl;
+  let tempDir;
+  let context;
+  before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-strategies-'));
+    context = {
+      onProgress: () => {},
+      async fetchFile(url, { referer } = {}) {
+        const download = await probeDownload(url, { referer });
+        if (!download) return null;
+        const filePath = path.join(tempDir, download.filename);
+        const { bytes } = await saveDownload(download, filePath);
+        return { filePath, filename: download.filename, bytes };
+      }
+    };
+  });
+  after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('picks the strategy for the download host', () => {
+    const strategyFor = url => getDownloadStrategy(url)?.id;
+    assert.equal(strategyFor('https://tiny-files.com/67e70fe1/31065647/book.pdf/'), 'tiny-files');
+    assert.equal(strategyFor('https://libgen.li/ads.php?md5=abc'), 'libgen');
+    assert.equal(strategyFor('https://library.lol/main/ABC'), 'libgen');
+    assert.equal(strategyFor('https://annas-archive.se/slow_download/abc/0/0'), 'annas-archive');
+    assert.equal(strategyFor('https://bucket.s3.amazonaws.com/book.pdf'), 'direct');
+    assert.equal(strategyFor('ftp://example.com/book.pdf'), undefined);
+  });
+
+  it('refuses links no strategy can download before queuing them', () => {
+    const reasonFor = url => checkDownloadUrl(url)?.reason || null;
+    assert.equal(reasonFor('https://annas-archive.se/slow_download/abc/0/0'), null);
+    assert.equal(reasonFor('https://libgen.li/ads.php?md5=abc'), null);
+    assert.equal(reasonFor('https://bucket.s3.amazonaws.com/book.pdf'), null);
+
+    assert.equal(checkDownloadUrl('https://annas-archive.se/md5/abc').code, 'UNSUPPORTED_HOST');
+    assert.match(reasonFor('https://annas-archive.se/md5/abc'), /\/fast_download\/ and \/slow_download\//);
+    assert.match(reasonFor('https://ebook-hunter.org/some-book/'), /ebook-hunter search source's site/);
+    assert.equal(reasonFor('ftp://example.com/book.pdf'), 'not an HTTP(S) URL');
+  });
+
+  it('follows the GET link on a libgen mirror page', async () => {
+    const file = await libgen.download(`${baseUrl}/ads.php?md5=abc`, context);
+    assert.equal(file.filename, 'book.epub');
+    assert.equal(fs.readFileSync(file.filePath, 'utf8'), 'PK epub');
+  });
+
+  it('rejects pages on hosts without a strategy', async () => {
+    const strategy = getDownloadStrategy(`${baseUrl}/file/123/`);
+    await assert.rejects(strategy.download(`${baseUrl}/file/123/`, context), { code: 'UNSUPPORTED_HOST', retryable: false });
+  });
+});
@@ -0,0 +1,115 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { detectFileFormat, validateBookFile } from '../services/file-validation.js';
+
+// Zip with stored (uncompressed) entries; CRCs are left at 0, which the
+// validator doesn't check
+function buildZip(entries) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, content] of entries) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(content);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, nameBuffer);
+    offset += 30 + nameBuffer.length + data.length;
+  }
+
+  const directoryBuffer = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directoryBuffer.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directoryBuffer, end]);
+}
+
+const EPUB = buildZip([
+  ['mimetype', 'application/epub+zip'],
+  ['META-INF/container.xml', '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>'],
+  ['OEBPS/content.opf', '<package/>']
+]);
+
+// PalmDB header with one record holding a MOBI header of the given version
+function buildMobi(version) {
+  const file = Buffer.alloc(400);
+  file.write('BOOKMOBI', 60, 'latin1');
+  file.writeUInt16BE(1, 76);
+  file.writeUInt32BE(96, 78);
+  file.write('MOBI', 96 + 16, 'latin1');
+  file.writeUInt32BE(version, 96 + 36);
+  return file;
+}
+
+describe('downloaded file validation', () => {
+  let tempDir;
+  const write = (name, content) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-validation-'));
+  });
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('detects formats by their magic bytes', async () => {
+    assert.deepEqual(await detectFileFormat(write('a.bin', '%PDF-1.7\n1 0 obj\n<<>>\nendobj\n%%EOF\n')), { format: 'pdf' });
+    assert.deepEqual(await detectFileFormat(write('b.bin', EPUB)), { format: 'epub' });
+    assert.deepEqual(await detectFileFormat(write('c.bin', buildMobi(6))), { format: 'mobi' });
+    assert.deepEqual(await detectFileFormat(write('d.bin', buildMobi(8))), { format: 'azw3' });
+    assert.deepEqual(await detectFileFormat(write('e.bin', buildZip([['001.jpg', 'x'], ['002.jpg', 'y']]))), { format: 'cbz' });
+    assert.deepEqual(await detectFileFormat(write('f.bin', '<?xml version="1.0"?>\n<FictionBook><body/></FictionBook>\n')), { format: 'fb2' });
+  });
+
+  it('rejects error pages saved as books', async () => {
+    const result = await validateBookFile(write('book.pdf', '<!DOCTYPE html><html><title>Just a moment...</title></html>'), { claimedFormat: 'pdf' });
+    assert.equal(result.valid, false);
+    assert.equal(result.detectedFormat, 'html');
+
+    const text = await validateBookFile(write('notfound.pdf', 'File not found'), { claimedFormat: 'pdf' });
+    assert.equal(text.valid, false);
+  });
+
+  it('rejects damaged files', async () => {
+    const truncated = await validateBookFile(write('cut.pdf', '%PDF-1.4\n1 0 obj\n<<'), { claimedFormat: 'pdf' });
+    assert.equal(truncated.valid, false);
+    assert.match(truncated.reason, /%%EOF/);
+
+    const noContainer = await validateBookFile(write('bare.epub', buildZip([['mimetype', 'application/epub+zip'], ['text.html', '<p/>']])), { claimedFormat: 'epub' });
+    assert.equal(noContainer.valid, false);
+    assert.match(noContainer.reason, /container\.xml/);
+  });
+
+  it('corrects the claimed format to the detected one', async () => {
+    const result = await validateBookFile(write('mislabelled.pdf', EPUB), { claimedFormat: 'pdf' });
+    assert.deepEqual(
+      { valid: result.valid, format: result.format, corrected: result.corrected },
+      { valid: true, format: 'epub', corrected: true }
+    );
+
+    const kindle = await validateBookFile(write('book.azw', buildMobi(6)), { claimedFormat: 'azw' });
+    assert.equal(kindle.format, 'azw');
+    assert.equal(kindle.corrected, false);
+  });
+});
@@ -0,0 +1,53 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Local server for saved source HTML
+//
+// Each source has a directory under test/fixtures with a manifest.json mapping
+// request paths (path + query string, as the adapter builds them) to saved
+// HTML files. Scrapers are pointed at the server by passing its URL as
+// `baseUrl`, so no request leaves the machine.
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+export async function loadManifest(sourceId) {
+  const manifestPath = path.join(FIXTURES_DIR, sourceId, 'manifest.json');
+  return JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+}
+
+// Start a server for one source's fixtures: { baseUrl, manifest, requests, close }
+export async function startFixtureServer(sourceId) {
+  const manifest = await loadManifest(sourceId);
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    requests.push(req.url);
+    const file = manifest.routes[req.url];
+
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end(`No fixture for ${req.url}`);
+      return;
+    }
+
+    try {
+      const html = await fs.readFile(path.join(FIXTURES_DIR, sourceId, file));
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(error.message);
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    manifest,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
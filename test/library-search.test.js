@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLibraryBook, searchLibrary, toSearchTerms } from '../services/library-search.js';
+
+const ID = '0b7c3a4e-1111-4222-8333-944455556666';
+
+// pgClient stub recording every query; answers come from `respond`
+function stubPgClient(respond = () => []) {
+  const queries = [];
+  return {
+    queries,
+    unsafe: async (query, params = []) => {
+      const normalized = query.replace(/\s+/g, ' ').trim();
+      queries.push({ query: normalized, params });
+      return respond(normalized, params);
+    }
+  };
+}
+
+// Supabase client stub: every query-builder call is recorded, and awaiting a
+// request resolves to the next of `responses`
+function stubSupabase(responses) {
+  const requests = [];
+  return {
+    requests,
+    from(table) {
+      const calls = [['from', table]];
+      requests.push(calls);
+      const builder = new Proxy({}, {
+        get(target, name) {
+          if (name === 'then') {
+            const response = responses.shift();
+            return (resolve) => resolve(response);
+          }
+          return (...args) => {
+            calls.push([name, ...args]);
+            return builder;
+          };
+        }
+      });
+      return builder;
+    }
+  };
+}
+
+const row = { id: ID, title: 'Eloquent JavaScript', author: 'Marijn Haverbeke', format: 'epub', file_size: '2202010', rank: 0.6081, total_count: '21' };
+
+describe('library search', () => {
+  it('turns a query into prefix terms without tsquery operators', () => {
+    assert.deepEqual(toSearchTerms("Eloq' & !java:* | (x)"), ['eloq', 'java', 'x']);
+    assert.deepEqual(toSearchTerms(''), []);
+  });
+
+  it('builds a parameterised full-text query for Postgres', async () => {
+    const pgClient = stubPgClient(() => [row]);
+    const result = await searchLibrary({ pgClient }, {
+      query: 'eloq java',
+      filters: { format: ['epub', 'pdf'], category: '100%_done', yearFrom: 2010 },
+      page: 3,
+      limit: 10
+    });
+
+    const [{ query, params }] = pgClient.queries;
+    assert.match(query, /@@ to_tsquery\('simple', \$1\)/);
+    assert.match(query, /\(format ILIKE \$2 OR format ILIKE \$3\) AND category ILIKE \$4/);
+    assert.match(query, /\(published_date >= \$5 OR \(published_date IS NULL AND date >= \$6\)\)/);
+    assert.match(query, /ORDER BY rank DESC, created_at DESC LIMIT \$7 OFFSET \$8$/);
+    assert.deepEqual(params, ['eloq:* & java:*', 'epub', 'pdf', '%100\\%\\_done%', '2010-01-01', '2010', 10, 20]);
+
+    assert.equal(result.backend, 'postgres');
+    assert.equal(result.total, 21);
+    assert.equal(result.sort, 'relevance');
+    assert.equal(result.books[0].fileSize, 2202010);
+    assert.equal(result.books[0].score, 0.608);
+  });
+
+  it('counts the matches separately for a Postgres page past the end', async () => {
+    const pgClient = stubPgClient(query => (query.startsWith('SELECT COUNT') ? [{ count: 4 }] : []));
+    const result = await searchLibrary({ pgClient }, { filters: { author: 'haverbeke' }, sort: 'title', page: 5, limit: 10 });
+
+    assert.match(pgClient.queries[0].query, /ORDER BY lower\(title\) ASC/);
+    assert.deepEqual(pgClient.queries[1], {
+      query: 'SELECT COUNT(*)::int AS count FROM books WHERE author ILIKE $1',
+      params: ['%haverbeke%']
+    });
+    assert.equal(result.total, 4);
+    assert.deepEqual(result.books, []);
+  });
+
+  it('filters and pages through the Supabase client, sorting by date added for relevance', async () => {
+    const supabase = stubSupabase([{ data: [row], count: 21, error: null }]);
+    const result = await searchLibrary(supabase, {
+      query: 'eloq',
+      filters: { language: ['en'], yearFrom: 2010, yearTo: 2019 },
+      page: 2,
+      limit: 5
+    });
+
+    assert.deepEqual(supabase.requests[0], [
+      ['from', 'books'],
+      ['select', '*', { count: 'exact' }],
+      ['or', 'title.fts(simple)."eloq:*",author.fts(simple)."eloq:*",category.fts(simple)."eloq:*",description.fts(simple)."eloq:*"'],
+      ['ilike', 'language', 'en'],
+      ['or', 'published_date.gte."2010-01-01",and(published_date.is.null,date.gte."2010")'],
+      ['or', 'published_date.lt."2020-01-01",and(published_date.is.null,date.lt."2020")'],
+      ['order', 'created_at', { ascending: false }],
+      ['range', 5, 9]
+    ]);
+    assert.equal(result.backend, 'supabase');
+    assert.equal(result.sort, 'added');
+    assert.equal(result.total, 21);
+  });
+
+  it('applies the same filter rules through both backends', async () => {
+    const filters = { format: ['epub', 'pdf'], language: ['en'], yearTo: 2019 };
+    const pgClient = stubPgClient(() => [row]);
+    const supabase = stubSupabase([{ data: [row], count: 1, error: null }]);
+    await searchLibrary({ pgClient }, { filters, exact: { author: 'Marijn Haverbeke' } });
+    await searchLibrary(supabase, { filters, exact: { author: 'Marijn Haverbeke' } });
+
+    // Formats and languages match case-insensitively; the year is published_date's, else date's
+    const [{ query, params }] = pgClient.queries;
+    assert.match(query, /WHERE \(format ILIKE \$1 OR format ILIKE \$2\) AND language ILIKE \$3 AND \(published_date < \$4 OR \(published_date IS NULL AND date < \$5\)\) AND author = \$6 ORDER/);
+    assert.deepEqual(params.slice(0, 6), ['epub', 'pdf', 'en', '2020-01-01', '2020', 'Marijn Haverbeke']);
+    assert.deepEqual(supabase.requests[0].slice(2, 6), [
+      ['or', 'format.ilike."epub",format.ilike."pdf"'],
+      ['ilike', 'language', 'en'],
+      ['or', 'published_date.lt."2020-01-01",and(published_date.is.null,date.lt."2020")'],
+      ['eq', 'author', 'Marijn Haverbeke']
+    ]);
+  });
+
+  it('reports an empty Supabase page past the end', async () => {
+    const supabase = stubSupabase([
+      { data: null, count: null, error: { code: 'PGRST103', message: 'Requested range not satisfiable' } },
+      { data: null, count: 3, error: null }
+    ]);
+    const result = await searchLibrary(supabase, { page: 9, limit: 20 });
+
+    assert.deepEqual(supabase.requests[1], [['from', 'books'], ['select', '*', { count: 'exact', head: true }]]);
+    assert.equal(result.total, 3);
+    assert.deepEqual(result.books, []);
+  });
+
+  it('looks books up by id only for well-formed ids', async () => {
+    const pgClient = stubPgClient(() => [row]);
+
+    assert.equal(await getLibraryBook({ pgClient }, "1' OR '1'='1"), null);
+    assert.equal((await getLibraryBook({ pgClient }, ID)).title, 'Eloquent JavaScript');
+    assert.deepEqual(pgClient.queries, [{ query: 'SELECT * FROM books WHERE id = $1', params: [ID] }]);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderAtomFeed, renderOpds2Feed } from '../services/opds.js';
+
+const feed = {
+  path: '/search',
+  query: { q: 'tom & jerry' },
+  title: 'Search: tom & jerry',
+  kind: 'acquisition',
+  updated: '2026-10-19T12:00:00.000Z',
+  publications: [{
+    id: '0b7c3a4e-1111-4222-8333-944455556666',
+    title: 'Tom & Jerry <Annotated>',
+    author: 'Hanna "Bill" Barbera',
+    format: 'epub',
+    isbns: ['9781234567897'],
+    acquisition: { href: 'https://storage.example.com/books/tom.epub?token=a&b=c', type: 'application/epub+zip' }
+  }],
+  pagination: { page: 2, limit: 1, total: 3 }
+};
+
+describe('OPDS feeds', () => {
+  it('escapes book fields in the Atom feed', () => {
+    const xml = renderAtomFeed(feed);
+
+    assert.match(xml, /<title>Tom &amp; Jerry &lt;Annotated&gt;<\/title>/);
+    assert.match(xml, /<name>Hanna &quot;Bill&quot; Barbera<\/name>/);
+    assert.match(xml, /rel="http:\/\/opds-spec.org\/acquisition" href="https:\/\/storage.example.com\/books\/tom.epub\?token=a&amp;b=c" type="application\/epub\+zip"/);
+    assert.match(xml, /<dc:identifier>urn:isbn:9781234567897<\/dc:identifier>/);
+  });
+
+  it('links to the neighbouring pages', () => {
+    const links = renderOpds2Feed(feed).links;
+    const href = rel => links.find(link => link.rel === rel)?.href;
+
+    assert.equal(href('self'), '/opds/v2/search?q=tom+%26+jerry&page=2');
+    assert.equal(href('previous'), '/opds/v2/search?q=tom+%26+jerry');
+    assert.equal(href('next'), '/opds/v2/search?q=tom+%26+jerry&page=3');
+    assert.equal(renderOpds2Feed(feed).publications[0].metadata.author[0].name, 'Hanna "Bill" Barbera');
+  });
+});
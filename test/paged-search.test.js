@@ -0,0 +1,62 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPagedSearch } from '../services/paged-search.js';
+import { createMemoryCacheStore, createSearchCache } from '../services/search-cache.js';
+
+// A browser context stand-in: pages that load nothing and say nothing
+const withBrowserContext = fn => fn({
+  newPage: async () => ({ on() {}, evaluate: async () => null, url: () => 'about:blank' })
+});
+
+// A source with `perPage` books on each of `pages` pages, recording the pages
+// loaded (under a real source's id, whose selector profile the page checks read)
+function stubSource({ pages, perPage }) {
+  const loaded = [];
+  return {
+    loaded,
+    id: 'ebook-hunter',
+    baseUrl: 'https://books.example.com',
+    capabilities: {},
+    async search({ pageNumber }) {
+      loaded.push(pageNumber);
+      const books = pageNumber > pages ? [] : Array.from({ length: perPage }, (_, index) => ({
+        title: `Book ${pageNumber}.${index}`,
+        bookUrl: `https://books.example.com/book/${pageNumber}/${index}`
+      }));
+      // Like most sources, no totals: only whether there is a next page
+      return { books, pageNumber, hasMore: pageNumber < pages, total: null, totalPages: null };
+    }
+  };
+}
+
+describe('paged search', () => {
+  // Keep the scraping logs out of the test output
+  const { log } = console;
+  before(() => {
+    console.log = () => {};
+  });
+  after(() => {
+    console.log = log;
+  });
+
+  const pagedSearch = () => createPagedSearch({ cache: createSearchCache({ store: createMemoryCacheStore() }), withBrowserContext });
+
+  it('reads only the upstream pages covering the requested slice', async () => {
+    const source = stubSource({ pages: 5, perPage: 4 });
+    const result = await pagedSearch().searchSourcePage(source, 'python', { page: 3, limit: 3 });
+
+    assert.deepEqual(source.loaded, [1, 2, 3]);
+    assert.deepEqual(result.books.map(book => book.title), ['Book 2.2', 'Book 2.3', 'Book 3.0']);
+    assert.equal(result.hasMore, true);
+  });
+
+  it('stops at a last first page when asked for a page past the end', async () => {
+    const source = stubSource({ pages: 1, perPage: 2 });
+    const result = await pagedSearch().searchSourcePage(source, 'python', { page: 3, limit: 2 });
+
+    assert.deepEqual(source.loaded, [1]);
+    assert.deepEqual(result.books, []);
+    assert.equal(result.total, 2);
+    assert.equal(result.hasMore, false);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankBooks, scoreBook } from '../services/ranking.js';
+
+const titles = books => books.map(book => book.title);
+
+describe('ranking', () => {
+  it('ranks title matches first, the whole phrase above scattered terms', () => {
+    const books = [
+      { title: 'Cooking for Geeks', author: 'Jeff Potter' },
+      { title: 'Python Tricks: The Book', author: 'Dan Bader' },
+      { title: 'Tricks of the Python Masters', author: 'Anonymous' },
+      { title: 'Learning Perl', author: 'Python Tricks Society' }
+    ];
+
+    assert.deepEqual(titles(rankBooks(books, 'python tricks')), [
+      'Python Tricks: The Book',
+      'Tricks of the Python Masters',
+      'Learning Perl',
+      'Cooking for Geeks'
+    ]);
+  });
+
+  it('breaks ties on preferred formats, recency and books found by several sources', () => {
+    const currentYear = new Date().getFullYear();
+    const book = { title: 'Eloquent JavaScript', author: 'Marijn Haverbeke', format: 'pdf' };
+    const score = (changes, options) => scoreBook({ ...book, ...changes }, 'eloquent javascript', options);
+
+    assert.ok(score({ format: 'epub' }, { preferredFormats: ['epub', 'pdf'] }) > score({}, { preferredFormats: ['epub', 'pdf'] }));
+    assert.ok(score({ date: String(currentYear) }) > score({ date: '2011' }));
+    assert.ok(score({ sources: ['ebook-hunter', 'annas-archive'] }) > score({ sources: ['ebook-hunter'] }));
+  });
+
+  it('gives books without a year no recency score', () => {
+    const book = { title: 'Eloquent JavaScript', author: 'Marijn Haverbeke' };
+    assert.equal(scoreBook(book, 'eloquent javascript'), scoreBook({ ...book, date: '1950' }, 'eloquent javascript'));
+  });
+
+  it('keeps the sources\' order for equal scores', () => {
+    const books = [
+      { title: 'JavaScript: The Good Parts', source: 'ebook-hunter' },
+      { title: 'JavaScript: The Good Parts', source: 'annas-archive' },
+      { title: 'JavaScript: The Good Parts', source: 'libgen' }
+    ];
+
+    const ranked = rankBooks(books, 'javascript');
+    assert.deepEqual(ranked.map(book => book.source), ['ebook-hunter', 'annas-archive', 'libgen']);
+    assert.equal(new Set(ranked.map(book => book.score)).size, 1);
+  });
+
+  it('sorts by date newest first, with books missing a year last', () => {
+    const books = [
+      { title: 'A', date: '2015' },
+      { title: 'B' },
+      { title: 'C', date: '2021-03-04' },
+      { title: 'D', date: '2015' },
+      { title: 'E', date: '' }
+    ];
+
+    assert.deepEqual(titles(rankBooks(books, '', { sort: 'date' })), ['C', 'A', 'D', 'B', 'E']);
+  });
+
+  it('sorts by title and author ignoring case and accents, unknown authors last', () => {
+    const books = [
+      { title: 'zebra', author: 'Unknown' },
+      { title: 'Émile', author: 'jean-jacques rousseau' },
+      { title: 'apple', author: 'Anonymous' },
+      { title: 'Banana', author: 'Adams, Douglas' }
+    ];
+
+    assert.deepEqual(titles(rankBooks(books, '', { sort: 'title' })), ['apple', 'Banana', 'Émile', 'zebra']);
+    assert.deepEqual(titles(rankBooks(books, '', { sort: 'author' })), ['Banana', 'Émile', 'zebra', 'apple']);
+  });
+
+  it('falls back to relevance for an unknown sort', () => {
+    const books = [{ title: 'Learning Perl' }, { title: 'Learning Python' }];
+    assert.deepEqual(titles(rankBooks(books, 'python', { sort: 'popularity' })), ['Learning Python', 'Learning Perl']);
+  });
+});
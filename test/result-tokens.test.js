@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeResultToken, encodeResultToken } from '../services/result-tokens.js';
+import { isSourceUrl } from '../sources/index.js';
+
+const BOOK_URL = 'https://ebook-hunter.org/eloquent-javascript-3rd-edition/';
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('result tokens', () => {
+  it('round-trips the source and book URL', () => {
+    const token = encodeResultToken('ebook-hunter', BOOK_URL);
+
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+    assert.equal(encodeResultToken('ebook-hunter', BOOK_URL), token);
+    assert.deepEqual(decodeResultToken(token), { sourceId: 'ebook-hunter', bookUrl: BOOK_URL });
+  });
+
+  it('rejects malformed and tampered tokens', () => {
+    const token = encodeResultToken('ebook-hunter', BOOK_URL);
+
+    assert.equal(decodeResultToken(undefined), null);
+    assert.equal(decodeResultToken('not a token'), null);
+    assert.equal(decodeResultToken(token.slice(0, -6)), null);
+    assert.equal(decodeResultToken(encode({ sourceId: 'ebook-hunter', bookUrl: BOOK_URL })), null);
+    assert.equal(decodeResultToken(encode(['ebook-hunter', BOOK_URL, 'extra'])), null);
+    assert.equal(decodeResultToken(encode(['ebook-hunter', 42])), null);
+    assert.equal(decodeResultToken(encode(['ebook-hunter', 'file:///etc/passwd'])), null);
+    assert.equal(decodeResultToken(encode(['ebook-hunter', 'javascript:alert(1)'])), null);
+  });
+
+  it('leaves a well-formed token for another site to the source check', () => {
+    const decoded = decodeResultToken(encodeResultToken('ebook-hunter', 'http://169.254.169.254/latest/meta-data/'));
+
+    assert.notEqual(decoded, null);
+    assert.equal(isSourceUrl(decoded.sourceId, decoded.bookUrl), false);
+    assert.equal(isSourceUrl('ebook-hunter', BOOK_URL), true);
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chromium } from 'playwright';
+import { getSource } from '../sources/index.js';
+import { runSelectorSelfCheck } from '../services/selector-selfcheck.js';
+import { createHttpPage } from '../services/http-page.js';
+import { startFixtureServer } from './helpers/fixture-server.js';
+
+// Runs the real source adapters against saved HTML served locally, so
+// selector regressions show up without network access. Refresh the saved
+// pages with `npm run fixtures:record`.
+const SOURCE_IDS = ['ebook-hunter', 'annas-archive'];
+
+let browser = null;
+let skipReason = false;
+try {
+  browser = await chromium.launch({ headless: true });
+} catch (error) {
+  skipReason = `Chromium is not available (run "npx playwright install chromium"): ${error.message.split('\n')[0]}`;
+}
+
+after(async () => {
+  if (browser) await browser.close();
+});
+
+for (const sourceId of SOURCE_IDS) {
+  describe(`${sourceId} scraper`, { skip: skipReason }, () => {
+    const adapter = getSource(sourceId);
+    let server;
+    let context;
+
+    before(async () => {
+      server = await startFixtureServer(sourceId);
+      context = await browser.newContext();
+    });
+
+    after(async () => {
+      if (context) await context.close();
+      if (server) await server.close();
+    });
+
+    async function searchPage(pageNumber) {
+      return adapter.search({
+        page: await context.newPage(),
+        context,
+        query: server.manifest.query,
+        baseUrl: server.baseUrl,
+        pageNumber
+      });
+    }
+
+    it('parses the search listing', async () => {
+      const result = await searchPage(1);
+
+      assert.ok(result.books.length > 0, 'expected at least one book on the first page');
+      for (const book of result.books) {
+        assert.ok(book.title, 'book has a title');
+        assert.ok(book.bookUrl.startsWith(server.baseUrl), `book URL ${book.bookUrl} points at the source`);
+        assert.match(book.format, /^[a-z0-9]+$/);
+        assert.equal(book.source, sourceId);
+      }
+    });
+
+    it('reads the pager', async (t) => {
+      if (server.manifest.pages < 2) {
+        t.skip('fixtures hold a single result page');
+        return;
+      }
+
+      const first = await searchPage(1);
+      assert.equal(first.hasMore, true, 'first page reports more results');
+
+      const last = await searchPage(server.manifest.pages);
+      assert.ok(last.books.length > 0, 'expected books on the last recorded page');
+      if (server.manifest.lastPageIncluded) {
+        assert.equal(last.hasMore, false, 'last page reports no more results');
+      }
+    });
+
+    it('finds the download link on the book page', async () => {
+      const result = await adapter.resolveDownloadUrl(await context.newPage(), `${server.baseUrl}${server.manifest.book}`);
+
+      assert.ok(result.downloadUrl, 'expected a download URL');
+      assert.doesNotThrow(() => new URL(result.downloadUrl));
+    });
+
+    it('reads the book metadata', async () => {
+      const metadata = await adapter.fetchMetadata(await context.newPage(), `${server.baseUrl}${server.manifest.book}`);
+
+      assert.ok(metadata.title, 'expected a title');
+      assert.ok(metadata.downloadUrl, 'expected a download URL');
+      assert.equal(metadata.source, sourceId);
+
+      if (adapter.capabilities.details) {
+        assert.ok(metadata.details.isbns.length > 0, 'expected ISBNs');
+        assert.ok(metadata.details.fileSize > 0, 'expected a file size');
+        assert.ok(metadata.details.mirrors.length > 0, 'expected mirror links');
+      }
+    });
+
+    it('matches every required selector in the profile', async () => {
+      const withPage = async (kind, fn) => fn(await context.newPage(), context, server.baseUrl);
+      const report = await runSelectorSelfCheck(adapter, withPage, { query: server.manifest.query });
+
+      assert.deepEqual(report.emptySelectors, []);
+      assert.deepEqual(report.invalidSelectors, []);
+      assert.equal(report.ok, true);
+    });
+  });
+
+  // The same pages read over plain HTTP (SCRAPE_MODE=auto); needs no Chromium
+  describe(`${sourceId} scraper over HTTP`, () => {
+    const adapter = getSource(sourceId);
+    let server;
+
+    before(async () => {
+      server = await startFixtureServer(sourceId);
+    });
+
+    after(async () => {
+      if (server) await server.close();
+    });
+
+    it('parses the search listing', async () => {
+      const result = await adapter.search({
+        page: createHttpPage(),
+        query: server.manifest.query,
+        baseUrl: server.baseUrl,
+        pageNumber: 1
+      });
+
+      assert.ok(result.books.length > 0, 'expected at least one book on the first page');
+      for (const book of result.books) {
+        assert.ok(book.bookUrl.startsWith(server.baseUrl), `book URL ${book.bookUrl} points at the source`);
+      }
+      if (server.manifest.pages > 1) {
+        assert.equal(result.hasMore, true, 'first page reports more results');
+      }
+    });
+
+    it('reads the book metadata', async () => {
+      const metadata = await adapter.fetchMetadata(createHttpPage(), `${server.baseUrl}${server.manifest.book}`);
+
+      assert.ok(metadata.title, 'expected a title');
+      assert.doesNotThrow(() => new URL(metadata.downloadUrl));
+    });
+
+    it('runs the self-check on HTTP pages', async () => {
+      const withPage = async (kind, fn) => fn(createHttpPage(), null, server.baseUrl);
+      const report = await runSelectorSelfCheck(adapter, withPage, { query: server.manifest.query });
+
+      assert.equal(report.checks.search.mode, 'http');
+      assert.deepEqual(report.emptySelectors, []);
+      assert.deepEqual(report.invalidSelectors, []);
+      assert.equal(report.ok, true);
+    });
+  });
+}
+
+// Anna's Archive listings carry the byline, content type and file details
+describe('annas-archive listing details', () => {
+  const adapter = getSource('annas-archive');
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer('annas-archive');
+  });
+
+  after(async () => {
+    if (server) await server.close();
+  });
+
+  it('reads the author, category and details from the result markup', async () => {
+    const { books } = await adapter.search({
+      page: createHttpPage(),
+      query: server.manifest.query,
+      baseUrl: server.baseUrl,
+      pageNumber: 1
+    });
+
+    const [book] = books;
+    assert.equal(book.author, 'Marijn Haverbeke');
+    assert.equal(book.category, 'Book (non-fiction)');
+    assert.equal(book.date, '2018');
+    assert.equal(book.details.publisher, 'No Starch Press');
+    assert.equal(book.details.edition, '3rd edition');
+    assert.equal(book.details.languageCode, 'en');
+    assert.equal(book.details.fileSize, Math.round(2.1 * 1024 ** 2));
+    assert.deepEqual(book.details.isbns, []);
+  });
+});
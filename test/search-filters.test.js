@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterCacheKey, matchesFilters, parseSearchFilters, planFilters } from '../services/search-filters.js';
+
+describe('search filters', () => {
+  it('parses the filters that were given', () => {
+    assert.deepEqual(parseSearchFilters({
+      format: 'EPUB, pdf,,',
+      language: 'en,DE',
+      yearFrom: '2010',
+      yearTo: '2020',
+      category: ' Programming ',
+      author: 'Haverbeke'
+    }).filters, {
+      format: ['epub', 'pdf'],
+      language: ['en', 'de'],
+      yearFrom: 2010,
+      yearTo: 2020,
+      category: 'Programming',
+      author: 'Haverbeke'
+    });
+    assert.deepEqual(parseSearchFilters({ format: '', yearFrom: '' }).filters, {});
+  });
+
+  it('rejects invalid years and lists', () => {
+    const errorFor = params => parseSearchFilters(params).error;
+    assert.equal(errorFor({ yearFrom: '99' }), 'yearFrom must be a four-digit year');
+    assert.equal(errorFor({ yearTo: '2020abc' }), 'yearTo must be a four-digit year');
+    assert.equal(errorFor({ yearFrom: '2021', yearTo: '2020' }), 'yearFrom must not be after yearTo');
+    assert.match(errorFor({ format: 'epub,pdf;drop' }), /^format must be/);
+    assert.match(errorFor({ language: 'english' }), /^language must be/);
+  });
+
+  it('splits filters into URL, listing and unsupported ones', () => {
+    const adapter = { capabilities: { filters: { format: 'url', language: 'url', author: 'listing', yearFrom: 'listing' } } };
+    const { filters } = parseSearchFilters({ format: 'epub', author: 'Bader', yearFrom: '2015', category: 'python' });
+
+    assert.deepEqual(planFilters(adapter, filters), {
+      url: { format: ['epub'] },
+      listing: { author: 'Bader', yearFrom: 2015 },
+      unsupported: ['category']
+    });
+    assert.deepEqual(planFilters({}, { format: ['pdf'] }), { url: {}, listing: {}, unsupported: ['format'] });
+  });
+
+  it('keys the cache on URL filters regardless of order and case', () => {
+    assert.equal(filterCacheKey({ language: ['EN'], format: ['epub', 'pdf'] }), 'format=epub,pdf&language=en');
+    assert.equal(filterCacheKey({}), '');
+  });
+
+  it('matches any of several formats and a year range', () => {
+    const filters = { format: ['epub', 'pdf'], yearFrom: 2010, yearTo: 2019 };
+    assert.equal(matchesFilters({ format: 'PDF', date: '2014-05-01' }, filters), true);
+    assert.equal(matchesFilters({ format: 'mobi', date: '2014' }, filters), false);
+    assert.equal(matchesFilters({ format: 'epub', date: '2020' }, filters), false);
+    // A book without a year can't be placed in the range
+    assert.equal(matchesFilters({ format: 'epub' }, filters), false);
+  });
+
+  it('matches authors and categories loosely', () => {
+    const book = { author: 'Marijn Haverbeke', category: 'Computers > Programming (JavaScript)' };
+    assert.equal(matchesFilters(book, { author: 'haverbeke' }), true);
+    assert.equal(matchesFilters(book, { author: 'Douglas Crockford' }), false);
+    assert.equal(matchesFilters(book, { category: 'programming' }), true);
+    assert.equal(matchesFilters(book, { category: 'cooking' }), false);
+    // Unknown authors don't match any author filter
+    assert.equal(matchesFilters({ author: 'Unknown Author' }, { author: 'unknown' }), false);
+  });
+});
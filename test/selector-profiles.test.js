@@ -0,0 +1,38 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getSelectorProfile } from '../sources/selector-profiles.js';
+
+describe('selector profiles', () => {
+  let overrideDir;
+  const { log } = console;
+  before(() => {
+    console.log = () => {};
+    overrideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-profiles-'));
+    fs.writeFileSync(path.join(overrideDir, 'ebook-hunter.json'), JSON.stringify({
+      version: 9,
+      canaryQuery: null,
+      optional: null,
+      noResultsText: null,
+      search: { resultItem: 'div.book' }
+    }));
+    process.env.SOURCE_SELECTORS_DIR = overrideDir;
+  });
+  after(() => {
+    console.log = log;
+    delete process.env.SOURCE_SELECTORS_DIR;
+    fs.rmSync(overrideDir, { recursive: true, force: true });
+  });
+
+  it('fills in defaults for null fields of an override profile', () => {
+    const profile = getSelectorProfile('ebook-hunter');
+
+    assert.equal(profile.version, 9);
+    assert.equal(profile.canaryQuery, 'javascript');
+    assert.deepEqual(profile.optional, []);
+    assert.deepEqual(profile.noResultsText, []);
+    assert.equal(profile.origin, path.join(overrideDir, 'ebook-hunter.json'));
+  });
+});
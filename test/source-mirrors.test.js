@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSourceMirrors } from '../services/source-mirrors.js';
+
+const createMirrors = () => createSourceMirrors({
+  mirrors: { 'annas-archive': ['https://annas-archive.org', 'https://annas-archive.li', 'https://annas-archive.se'] },
+  cooldownMs: 60000
+});
+
+describe('source mirrors', () => {
+  it('prefers the first healthy mirror', () => {
+    const mirrors = createMirrors();
+    assert.equal(mirrors.getActive('annas-archive'), 'https://annas-archive.org');
+
+    mirrors.reportFailure('annas-archive', 'https://annas-archive.org', 'HTTP 503');
+    assert.deepEqual(mirrors.candidates('annas-archive'), ['https://annas-archive.li', 'https://annas-archive.se']);
+    assert.equal(mirrors.getStats()['annas-archive'].mirrors[0].healthy, false);
+
+    mirrors.reportOk('annas-archive', 'https://annas-archive.org');
+    assert.equal(mirrors.getActive('annas-archive'), 'https://annas-archive.org');
+  });
+
+  it('tries the mirror that recovers first when all are failing', () => {
+    const mirrors = createMirrors();
+    mirrors.reportFailure('annas-archive', 'https://annas-archive.org', 'challenge page');
+    mirrors.reportFailure('annas-archive', 'https://annas-archive.li', 'HTTP 502');
+    mirrors.reportFailure('annas-archive', 'https://annas-archive.se', 'HTTP 502');
+    assert.deepEqual(mirrors.candidates('annas-archive'), ['https://annas-archive.org']);
+  });
+
+  it('moves book URLs between mirrors', () => {
+    const mirrors = createMirrors();
+    assert.equal(
+      mirrors.onMirror('annas-archive', 'https://annas-archive.org/md5/8a4f0c2e', 'https://annas-archive.se'),
+      'https://annas-archive.se/md5/8a4f0c2e'
+    );
+    assert.equal(mirrors.onMirror('annas-archive', 'https://example.com/md5/1', 'https://annas-archive.se'), 'https://example.com/md5/1');
+  });
+});
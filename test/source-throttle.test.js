@@ -0,0 +1,140 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSourceThrottle, parseRetryAfter } from '../services/source-throttle.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A page load that stays open until finish() is called
+function openLoad() {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  return { done, finish };
+}
+
+describe('source throttle', () => {
+  // Keep the backoff logs out of the test output
+  const { log } = console;
+  before(() => {
+    console.log = () => {};
+  });
+  after(() => {
+    console.log = log;
+  });
+
+  it('fails with SOURCE_THROTTLED once the bucket would take longer than maxWaitMs', async () => {
+    const throttle = createSourceThrottle({ requestsPerMinute: 60, burst: 2, maxWaitMs: 100 });
+
+    await throttle.run('books', async () => {});
+    await throttle.run('books', async () => {});
+    await assert.rejects(throttle.run('books', async () => {}), (error) => {
+      assert.equal(error.code, 'SOURCE_THROTTLED');
+      assert.equal(error.reason, 'rate limit');
+      assert.equal(error.retryAfter, 1);
+      return true;
+    });
+    assert.equal(throttle.getStats().books.throttled, 1);
+  });
+
+  it('waits for the next token when it comes within maxWaitMs', async () => {
+    // One token every 50ms
+    const throttle = createSourceThrottle({ requestsPerMinute: 1200, burst: 1, maxWaitMs: 1000 });
+
+    await throttle.run('books', async () => {});
+    const startTime = Date.now();
+    await throttle.run('books', async () => {});
+
+    assert.ok(Date.now() - startTime >= 40);
+    assert.equal(throttle.getStats().books.waited, 1);
+  });
+
+  it('hands a released page slot to the next caller', async () => {
+    const throttle = createSourceThrottle({ requestsPerMinute: 6000, burst: 10, maxConcurrentPages: 1, maxWaitMs: 1000 });
+    const first = openLoad();
+
+    const running = throttle.run('books', () => first.done);
+    let secondStarted = false;
+    const second = throttle.run('books', async () => {
+      secondStarted = true;
+    });
+
+    await sleep(20);
+    assert.equal(secondStarted, false);
+    assert.equal(throttle.getStats().books.queued, 1);
+
+    first.finish();
+    await Promise.all([running, second]);
+    assert.equal(secondStarted, true);
+    assert.equal(throttle.getStats().books.activePages, 0);
+  });
+
+  it('gives up waiting for a page slot after maxWaitMs', async () => {
+    const throttle = createSourceThrottle({ requestsPerMinute: 6000, burst: 10, maxConcurrentPages: 1, maxWaitMs: 50 });
+    const first = openLoad();
+    const running = throttle.run('books', () => first.done);
+
+    await assert.rejects(throttle.run('books', async () => {}), (error) => {
+      assert.equal(error.code, 'SOURCE_THROTTLED');
+      assert.equal(error.reason, 'too many concurrent pages');
+      assert.equal(error.retryAfter, 1);
+      return true;
+    });
+    assert.equal(throttle.getStats().books.queued, 0);
+
+    first.finish();
+    await running;
+  });
+
+  it('doubles the backoff on each block up to backoffMax', async () => {
+    const throttle = createSourceThrottle({ backoffBase: 1000, backoffMax: 3000 });
+
+    const retryAfters = [1, 2, 3, 4].map(() => throttle.reportBlocked('books', { code: 'SOURCE_BLOCKED', reason: 'captcha' }).retryAfter);
+    assert.deepEqual(retryAfters, [1, 2, 3, 3]);
+
+    await assert.rejects(throttle.run('books', async () => {}), (error) => {
+      assert.equal(error.code, 'SOURCE_BLOCKED');
+      assert.equal(error.backingOff, true);
+      return true;
+    });
+  });
+
+  it('takes a Retry-After over the computed backoff', () => {
+    const throttle = createSourceThrottle({ backoffBase: 1000 });
+    assert.equal(throttle.reportBlocked('books', { reason: '429', retryAfterMs: 5000 }).retryAfter, 5);
+  });
+
+  it('resets the backoff after a clean load', async () => {
+    const throttle = createSourceThrottle({ requestsPerMinute: 6000, burst: 10, backoffBase: 40, backoffMax: 10000 });
+
+    // 40, 80 and 160ms; the next one would be 320ms
+    throttle.reportBlocked('books', { reason: 'outage' });
+    throttle.reportBlocked('books', { reason: 'outage' });
+    throttle.reportBlocked('books', { reason: 'outage' });
+    await sleep(180);
+
+    throttle.reportOk('books');
+    throttle.reportBlocked('books', { reason: 'outage' });
+    await sleep(80);
+
+    assert.equal(await throttle.run('books', async () => 'loaded'), 'loaded');
+  });
+});
+
+describe('Retry-After parsing', () => {
+  it('reads delay seconds', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter(' 0 '), 0);
+  });
+
+  it('reads an HTTP date', () => {
+    const inThirtySeconds = new Date(Date.now() + 30000).toUTCString();
+    const ms = parseRetryAfter(inThirtySeconds);
+    assert.ok(ms > 28000 && ms <= 30000, `expected about 30s, got ${ms}ms`);
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0);
+  });
+
+  it('ignores missing and malformed values', () => {
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
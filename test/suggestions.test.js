@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectSuggestions, createSuggestionIndex } from '../services/suggestions.js';
+
+function indexWith({ books = [], queries = [] } = {}) {
+  const index = createSuggestionIndex();
+  index.addBooks(books);
+  for (const query of queries) index.recordQuery(query);
+  return index;
+}
+
+describe('search suggestions', () => {
+  it('matches the prefix at the start of any word', () => {
+    const index = indexWith({
+      books: [
+        { title: 'Eloquent JavaScript', author: 'Marijn Haverbeke' },
+        { title: 'You Don\'t Know JS', author: 'Kyle Simpson' },
+        { title: 'Learning Python', author: 'Mark Lutz' }
+      ]
+    });
+
+    assert.deepEqual(index.suggest('java').map(suggestion => suggestion.text), ['Eloquent JavaScript']);
+    assert.deepEqual(index.suggest('MAR').map(suggestion => suggestion.text), ['Mark Lutz', 'Marijn Haverbeke']);
+    // Only whole-word prefixes, not matches inside a word
+    assert.deepEqual(index.suggest('script'), []);
+  });
+
+  it('ranks popular queries by how often they were searched', () => {
+    const index = indexWith({
+      books: [{ title: 'Python Crash Course', author: 'Eric Matthes' }],
+      queries: ['python tricks', 'Python Cookbook', 'python cookbook', 'python crash course', 'python cookbook', 'python crash course']
+    });
+
+    const suggestions = index.suggest('pyth');
+    assert.deepEqual(suggestions.map(suggestion => [suggestion.text, suggestion.source, suggestion.count]), [
+      ['Python Cookbook', 'popular', 3],
+      ['python crash course', 'popular', 2],
+      ['python tricks', 'popular', 1],
+      ['Python Crash Course', 'recent', undefined]
+    ]);
+  });
+
+  it('merges library suggestions with the index', async () => {
+    const index = indexWith({ books: [{ title: 'Eloquent JavaScript', author: 'Marijn Haverbeke' }], queries: ['eloquent javascript'] });
+    const result = await collectSuggestions(index, 'eloq', {
+      libraryLookup: async () => [{ text: 'Eloquent JavaScript', type: 'title', source: 'library' }]
+    });
+
+    assert.equal(result.partial, false);
+    assert.deepEqual(result.suggestions, [
+      { text: 'eloquent javascript', type: 'query', sources: ['popular', 'library', 'recent'], count: 1 }
+    ]);
+  });
+
+  it('answers without a slow library lookup', async () => {
+    const index = indexWith({ books: [{ title: 'Eloquent JavaScript' }] });
+    const startTime = Date.now();
+    const result = await collectSuggestions(index, 'eloq', {
+      libraryLookup: () => new Promise(() => {}),
+      libraryTimeout: 20
+    });
+
+    assert.ok(Date.now() - startTime < 100);
+    assert.equal(result.partial, true);
+    assert.deepEqual(result.suggestions.map(suggestion => suggestion.text), ['Eloquent JavaScript']);
+  });
+
+  it('answers without a failing library lookup', async () => {
+    const index = indexWith({ books: [{ title: 'Eloquent JavaScript' }] });
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      const result = await collectSuggestions(index, 'eloq', {
+        libraryLookup: () => { throw new Error('connection refused'); }
+      });
+      assert.equal(result.partial, true);
+      assert.equal(result.suggestions.length, 1);
+    } finally {
+      console.error = consoleError;
+    }
+  });
+});